@@ -0,0 +1,118 @@
+// background.js - Service worker that runs save jobs for the popup and keyboard shortcuts, reopens closed tabs and
+// runs the library's daily maintenance
+
+importScripts(
+  'search-index.js',
+  'url-canonicalizer.js',
+  'migrations.js',
+  'library-vault.js',
+  'indexeddb.js',
+  'content-tagger.js',
+  'tab-filter.js',
+  'tab-restorer.js',
+  'tab-closer.js',
+  'save-jobs.js'
+);
+
+// Commands from the popup; every answer is { success: true, ... } or { success: false, error, errorName }
+const commandHandlers = {
+  startSaveJob: (request) => saveJobs.start(request).then(job => ({ job })),
+  getSaveJobs: () => saveJobs.getJobs().then(jobs => ({ jobs: jobs.map(job => saveJobs.summary(job)) })),
+  getLastClosed: () => tabCloser.getLastClosed().then(batch => ({ batch })),
+  reopenClosedTabs: () => tabCloser.reopenLastClosed().then(results => ({ results }))
+};
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  const handler = commandHandlers[request.action];
+  if (!handler) return; // Not a command, e.g. another page's saveJobUpdate
+
+  handler(request).then(
+    response => sendResponse({ success: true, ...response }),
+    error => sendResponse({ success: false, error: error.message, errorName: error.name })
+  );
+  return true; // Keep message channel open for async response
+});
+
+// Keyboard shortcuts (see "commands" in manifest.json, changed at chrome://extensions/shortcuts).
+// They save the way the popup buttons do with its defaults: filter rules, no file download, pinned
+// and audible tabs kept open
+const shortcutSaves = {
+  'save-current-tab': { scope: 'tab', close: false },
+  'save-current-window': { scope: 'window', close: false },
+  'save-all-windows': { scope: 'all-windows', close: false },
+  'save-and-close-tab': { scope: 'tab', close: true },
+  'save-and-close-window': { scope: 'window', close: true }
+};
+const badgeClearDelay = 10000; // A successful save's badge goes away after this
+let badgeTimer = null;
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    if (command === 'open-viewer') {
+      await chrome.tabs.create({ url: chrome.runtime.getURL('tab-viewer.html') });
+      return;
+    }
+
+    const save = shortcutSaves[command];
+    if (!save) return;
+
+    const windowId = tab?.windowId ?? (await chrome.windows.getLastFocused()).id;
+    await saveJobs.start({
+      scope: save.scope,
+      source: 'shortcut',
+      windowId: windowId,
+      tabIds: null,
+      options: { download: false, close: save.close, keepPinnedAudible: true }
+    });
+  } catch (error) {
+    console.error(`Shortcut ${command} failed:`, error);
+    showOnBadge('!', '#dc3545', `Fomo Tabs Saver: ${error.message}`);
+  }
+});
+
+// With no popup open to show them, shortcut saves report on the toolbar badge and its tooltip
+saveJobs.onUpdate(job => {
+  if (job.source !== 'shortcut') return;
+
+  if (job.status === 'failed') {
+    showOnBadge('!', '#dc3545', `Fomo Tabs Saver: ${job.error.message}`);
+  } else if (job.status === 'done') {
+    showOnBadge(String(job.results.saved + job.results.updated), '#0f9d58', `Fomo Tabs Saver: ${describeShortcutSave(job)}`);
+    badgeTimer = setTimeout(() => showOnBadge('', null, 'Fomo Tabs Saver'), badgeClearDelay);
+  } else {
+    showOnBadge('...', '#4285f4', 'Fomo Tabs Saver: saving...');
+  }
+});
+
+function describeShortcutSave(job) {
+  let message = job.scope === 'tab'
+    ? 'Saved current tab'
+    : `Saved ${job.results.saved} new URLs, updated ${job.results.updated} existing`;
+  if (job.closed > 0) message += `, closed ${job.closed} tabs`;
+  return message;
+}
+
+function showOnBadge(text, color, title) {
+  clearTimeout(badgeTimer);
+  chrome.action.setBadgeText({ text });
+  if (color) chrome.action.setBadgeBackgroundColor({ color });
+  chrome.action.setTitle({ title });
+}
+
+// Trash purge and automatic retention, once shortly after the browser starts and then daily
+const maintenanceAlarm = 'library-maintenance';
+
+function scheduleMaintenance() {
+  chrome.alarms.create(maintenanceAlarm, { delayInMinutes: 1, periodInMinutes: 24 * 60 });
+}
+
+chrome.runtime.onInstalled.addListener(scheduleMaintenance);
+chrome.runtime.onStartup.addListener(scheduleMaintenance);
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name !== maintenanceAlarm) return;
+  tabStorage.runMaintenance().catch(error => console.warn('Library maintenance failed:', error));
+});
+
+// Jobs a stopped service worker left unfinished
+saveJobs.resume().catch(error => console.error('Could not resume save jobs:', error));
@@ -9,6 +9,7 @@ class MetaExtractor {
     try {
       const metadata = {
         url: window.location.href,
+        canonicalUrl: this.getCanonicalUrl(),
         title: document.title,
         description: this.getMetaDescription(),
         keywords: this.getMetaKeywords(),
@@ -111,6 +112,12 @@ class MetaExtractor {
     return headings;
   }
 
+  // Absolute URL of <link rel="canonical">, the page's own idea of its address
+  getCanonicalUrl() {
+    const link = document.querySelector('link[rel="canonical"][href]');
+    return link ? link.href : null;
+  }
+
   getLanguage() {
     return document.documentElement.lang || 
            document.querySelector('meta[http-equiv="content-language"]')?.content ||
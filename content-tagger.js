@@ -137,6 +137,7 @@ class ContentTagger {
         publishedDate: metadata?.publishedDate || null,
         wordCount: metadata?.articleData?.wordCount || null,
         language: metadata?.lang || null,
+        canonicalUrl: metadata?.canonicalUrl || null,
         classificationText: textToClassify.substring(0, 200) // For debugging
       };
     } catch (error) {
@@ -160,7 +161,8 @@ class ContentTagger {
         author: null,
         publishedDate: null,
         wordCount: null,
-        language: null
+        language: null,
+        canonicalUrl: null
       };
     }
   }
@@ -3,292 +3,2292 @@
 class TabStorage {
   constructor() {
     this.dbName = 'FomoTabsDB';
-    this.dbVersion = 2;
+    this.dbVersion = 11; // Highest version in TAB_STORAGE_MIGRATIONS
     this.urlStoreName = 'urls';
-    this.exportStoreName = 'tabExports'; // Keep for migration
+    this.exportStoreName = 'tabExports'; // Session snapshots, one record per save run
+    this.migrations = TAB_STORAGE_MIGRATIONS;
+    this.migrationLog = []; // What the migrations of the last upgrade did
+    this.maxMigrationLog = 50; // Entries kept in chrome.storage.local
+    this.searchStoreName = 'searchIndex';
+    this.searchIndex = new SearchIndex(this.searchStoreName);
+    this.trashStoreName = 'trash'; // Deleted records, restorable until purged
+    this.trashRetentionDays = 30; // Default when chrome.storage has no trashRetentionDays
+    this.defaultRetentionRules = {
+      enabled: false,          // Apply the rules automatically in the daily maintenance
+      maxRecords: null,        // Keep at most this many records, the least recently seen go first
+      unrevisitedMonths: null, // Prune URLs saved only once and not seen for this many months
+      keepStarred: true        // Starred records are never pruned
+    };
+    this.collectionStoreName = 'collections'; // User-made groups; records list their ids in record.collections
+    this.collectionColors = ['#3498db', '#27ae60', '#e67e22', '#9b59b6', '#e74c3c', '#16a085', '#f1c40f', '#7f8c8d'];
+    this.sortableFields = ['lastSeen', 'firstSeen', 'accessCount', 'domain', 'url']; // Indexed fields plus the primary key
+    this.canonicalizer = new UrlCanonicalizer(); // Records are keyed by canonical URL
+    this.maxAliases = 20; // Original URL variants remembered per record
+    this.maxHistory = 100; // Save events kept per record, oldest dropped first
+    this.userFieldNames = ['notes', 'addedTags', 'removedTags', 'categoryOverride', 'starred', 'customTitle'];
+    this.readingStatuses = ['unread', 'in-progress', 'done', 'archived']; // Stored in record.user, set through setReadingStatus
+    this.metaStoreName = 'meta'; // Library-wide settings, written together with the records they describe
+    this.vault = new LibraryVault(); // Seals records while the library is encrypted
+    this.encryption = null; // Encryption settings from the meta store; null for a plaintext library
+    this.sealedWriteAttempts = 3; // Retries when another page changes records during a sealed write
+    this.readBatchSize = 200; // Records per transaction when walking the urls store
+    this.tombstoneStoreName = 'tombstones'; // When each deleted URL went, so sync can delete it elsewhere
+    this.changeChannelName = 'fomo-tabs-changes'; // BroadcastChannel telling the other extension pages what changed
+    this.changeChannel = null;
     this.db = null;
+
+    // Another page switching encryption on or off changes how records are read and written, and
+    // another page unlocking the library unlocks it here too, e.g. for the background save jobs
+    if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.encryptionChangedAt && this.db) {
+          this.loadEncryption(this.db).catch(error => console.warn('Could not reload encryption settings:', error));
+        }
+        if (areaName === 'session' && changes[this.vault.sessionKey]?.newValue && this.isLocked()) {
+          this.vault.restoreSession(this.encryption).catch(error => console.warn('Could not take over the unlocked keys:', error));
+        }
+      });
+    }
+  }
+
+  async init() {
+    // Canonicalization options decide record keys, including in the upgrade migrations
+    await this.canonicalizer.loadOptions();
+
+    const db = await this.openDatabase();
+
+    // Records of an encrypted library can only be read once the settings are known
+    await this.loadEncryption(db);
+    this.db = db;
+    if (!this.isLocked()) await this.rebuildDeferredSearchIndex();
+
+    // Trash purge and retention run from the background worker, see runMaintenance
+    if (this.migrationLog.length > 0) {
+      this.saveMigrationLog().catch(error => console.warn('Could not save migration log:', error));
+    }
+
+    return db;
+  }
+
+  // Open the database at dbVersion; an older one is upgraded by runMigrations first, and a failed
+  // migration rejects with its error and leaves the database at the version it had
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+      let migrationError = null;
+
+      request.onerror = () => reject(migrationError || request.error);
+      request.onsuccess = () => resolve(request.result);
+
+      request.onupgradeneeded = (event) => {
+        const transaction = event.target.transaction;
+
+        this.runMigrations(event.target.result, transaction, event.oldVersion).catch(error => {
+          migrationError = error;
+          transaction.abort();
+        });
+      };
+    });
+  }
+
+  // Read the encryption settings and pick up keys unlocked in another page of this browser session
+  async loadEncryption(db) {
+    const transaction = db.transaction([this.metaStoreName], 'readonly');
+    this.encryption = (await this.searchIndex.requestResult(transaction.objectStore(this.metaStoreName).get('encryption'))) || null;
+
+    if (!this.encryption) {
+      this.vault.forgetKeys();
+    } else if (!this.vault.isUnlocked()) {
+      await this.vault.restoreSession(this.encryption);
+    }
+    return this.encryption;
+  }
+
+  // Run the migrations between oldVersion and dbVersion in order, inside the upgrade transaction
+  async runMigrations(db, transaction, oldVersion) {
+    let searchRebuildNeeded = false;
+    const context = {
+      db: db,
+      transaction: transaction,
+      storage: this,
+      // Migrations that add or re-key records ask for one full-text rebuild at the end
+      requestSearchRebuild: () => { searchRebuildNeeded = true; }
+    };
+
+    this.migrationLog = [];
+
+    for (const migration of this.migrations) {
+      if (migration.version <= oldVersion || migration.version > this.dbVersion) continue;
+
+      const startedAt = Date.now();
+      let result;
+      try {
+        result = await migration.migrate(context);
+      } catch (error) {
+        console.error(`Migration ${migration.version} (${migration.description}) failed:`, error);
+        throw new Error(`Migration ${migration.version} failed: ${error.message}`);
+      }
+
+      const entry = {
+        version: migration.version,
+        description: migration.description,
+        result: result || {},
+        durationMs: Date.now() - startedAt,
+        ranAt: new Date().toISOString()
+      };
+      this.migrationLog.push(entry);
+    }
+
+    if (searchRebuildNeeded) {
+      await this.searchIndex.build(transaction, this.urlStoreName);
+    }
+  }
+
+  // Append the last upgrade's migration log to chrome.storage.local
+  async saveMigrationLog() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+
+    const stored = await chrome.storage.local.get('migrationLog');
+    const log = [...(stored.migrationLog || []), ...this.migrationLog].slice(-this.maxMigrationLog);
+    await chrome.storage.local.set({ migrationLog: log });
+  }
+
+  // Save tabs in one readwrite transaction: either every record is written or, on any failure,
+  // none are. options.action ('tab', 'window', 'all-windows') and options.savedAt go into the
+  // history of every saved record. options.once leaves a record whose history already has this run's
+  // entry as it is, so writing a run again after an interruption counts each visit once. Reports a
+  // status per tab: 'new', 'updated' or 'skipped'
+  async saveUrls(tabsData, options = { append: true }) {
+    if (!this.db) await this.init();
+
+    const context = {
+      action: options.action,
+      savedAt: options.savedAt || new Date().toISOString(), // One timestamp for the whole run
+      collectionId: options.collectionId ?? null, // Also add every saved URL to this collection
+      once: !!options.once
+    };
+    const append = options.append !== false;
+    const lookups = await Promise.all(tabsData.map(tab => this.isSavableTab(tab) ? this.savedRecordKeys(tab) : null));
+
+    return this.updateRecords(
+      [this.urlStoreName, this.searchStoreName],
+      (transaction) => {
+        const store = transaction.objectStore(this.urlStoreName);
+        return Promise.all(lookups.map(keys => keys ? this.findSavedRecord(store, keys) : undefined));
+      },
+      (existingRecords) => this.planSaves(tabsData, existingRecords, append, context)
+    );
+  }
+
+  // Records and per-tab report of a save run, given the record each tab already has (if any)
+  planSaves(tabsData, existingRecords, append, context) {
+    const results = {
+      saved: 0,
+      updated: 0,
+      skipped: 0,
+      urls: [] // { url, recordUrl, status, reason } in input order
+    };
+    const records = [];
+    const savedKeys = new Map(); // Record key and tab URLs of this run -> record key
+
+    tabsData.forEach((tab, position) => {
+      if (!this.isSavableTab(tab)) {
+        results.skipped++;
+        results.urls.push({ url: tab?.url ?? null, recordUrl: null, status: 'skipped', reason: 'missing url' });
+        return;
+      }
+
+      const existing = existingRecords[position];
+      const recordUrl = existing ? existing.url : this.canonicalizer.resolve(tab);
+
+      // Variants of one URL open in several tabs count as a single save
+      if (savedKeys.has(recordUrl) || savedKeys.has(tab.url)) {
+        results.skipped++;
+        results.urls.push({ url: tab.url, recordUrl: savedKeys.get(recordUrl) || savedKeys.get(tab.url), status: 'skipped', reason: 'duplicate in batch' });
+        return;
+      }
+      savedKeys.set(recordUrl, recordUrl);
+      savedKeys.set(tab.url, recordUrl);
+
+      // Written by this run before it was interrupted; reported the way the first write was
+      if (context.once && existing && this.hasRunEntry(existing, context)) {
+        const status = existing.firstSeen === context.savedAt ? 'new' : 'updated';
+        results[status === 'new' ? 'saved' : 'updated']++;
+        results.urls.push({ url: tab.url, recordUrl, status, reason: null });
+        return;
+      }
+
+      records.push(this.buildSavedRecord(tab, existing, append, context));
+
+      const status = existing ? 'updated' : 'new';
+      results[existing ? 'updated' : 'saved']++;
+      results.urls.push({ url: tab.url, recordUrl, status, reason: null });
+    });
+
+    return { records, result: results, changeType: 'saved' };
+  }
+
+  hasRunEntry(record, context) {
+    return (record.history || []).some(entry => entry.timestamp === context.savedAt && entry.action === (context.action || 'tab'));
+  }
+
+  // Per tab, what a save would update: { lastSeen, accessCount } of its record, or null for a new URL.
+  // Only reads fields that stay readable while the library is encrypted
+  async findSavedUrls(tabsData) {
+    if (!this.db) await this.init();
+
+    const lookups = await Promise.all(tabsData.map(tab => this.isSavableTab(tab) ? this.savedRecordKeys(tab) : null));
+    const transaction = this.db.transaction([this.urlStoreName], 'readonly');
+    const store = transaction.objectStore(this.urlStoreName);
+    const records = await Promise.all(lookups.map(keys => keys ? this.findSavedRecord(store, keys) : undefined));
+
+    return records.map(record => record ? { lastSeen: record.lastSeen, accessCount: record.accessCount } : null);
+  }
+
+  isSavableTab(tab) {
+    return !!tab && typeof tab.url === 'string' && !!tab.url;
+  }
+
+  // Save or update a single URL; context describes the save run for the record's history
+  async saveUrl(tabData, append = true, context = {}) {
+    if (!this.db) await this.init();
+
+    const keys = await this.savedRecordKeys(tabData);
+
+    return this.updateRecords(
+      [this.urlStoreName, this.searchStoreName],
+      async (transaction) => [await this.findSavedRecord(transaction.objectStore(this.urlStoreName), keys)],
+      ([existing]) => {
+        const urlRecord = this.buildSavedRecord(tabData, existing, append, context);
+        return { records: [urlRecord], result: urlRecord, changeType: 'saved' };
+      }
+    );
+  }
+
+  // Lookup keys of the record a tab is saved into: its canonical key, then the tab's own URL
+  async savedRecordKeys(tabData) {
+    return [await this.lookupKeys(this.canonicalizer.resolve(tabData)), await this.lookupKeys(tabData.url)];
+  }
+
+  // Record a tab is saved into: under its canonical key, or one that lists the tab's URL as alias
+  async findSavedRecord(store, savedKeys) {
+    for (const keys of savedKeys) {
+      const record = await this.findRecord(store, keys);
+      if (record) return record;
+    }
+    return undefined;
+  }
+
+  // The new state of a saved record
+  buildSavedRecord(tabData, existing, append, context) {
+    const now = new Date().toISOString();
+    // Imports can carry the original date the URL was first seen
+    const seenAt = tabData.firstSeen || context.savedAt || now;
+    const historyEntry = {
+      timestamp: seenAt,
+      action: context.action || 'tab', // 'tab', 'window', 'all-windows' or 'import'
+      windowId: tabData.windowId ?? null,
+      title: tabData.title
+    };
+
+    const url = existing ? existing.url : this.canonicalizer.resolve(tabData);
+    const domain = this.extractDomain(url);
+
+    let urlRecord;
+    if (existing && append) {
+      // Update existing record
+      urlRecord = {
+        ...existing,
+        title: tabData.title, // Update title in case it changed
+        visitedUrl: tabData.url,
+        aliases: this.addAlias(existing.aliases, url, tabData.url),
+        history: this.addHistory(existing.history, [historyEntry]),
+        firstSeen: seenAt < existing.firstSeen ? seenAt : existing.firstSeen,
+        lastSeen: seenAt > existing.lastSeen ? seenAt : existing.lastSeen,
+        accessCount: (existing.accessCount || 1) + 1,
+        // Update content tags if available
+        ...(tabData.contentTags && {
+          categories: tabData.contentTags.categories || existing.categories,
+          confidence: tabData.contentTags.confidence || existing.confidence,
+          tags: tabData.contentTags.tags || existing.tags,
+          description: tabData.contentTags.description || existing.description,
+          image: tabData.contentTags.image || existing.image,
+          author: tabData.contentTags.author || existing.author,
+          publishedDate: tabData.contentTags.publishedDate || existing.publishedDate,
+          wordCount: tabData.contentTags.wordCount || existing.wordCount,
+          language: tabData.contentTags.language || existing.language
+        })
+      };
+    } else {
+      // Create new record
+      urlRecord = {
+        url: url,
+        visitedUrl: tabData.url, // The canonical key may never have been visited; this is what gets opened
+        aliases: this.addAlias(existing?.aliases, url, tabData.url),
+        history: [historyEntry],
+        title: tabData.title,
+        domain: domain,
+        firstSeen: seenAt,
+        lastSeen: seenAt,
+        accessCount: 1,
+        categories: tabData.contentTags?.categories || [],
+        confidence: tabData.contentTags?.confidence || 0,
+        tags: tabData.contentTags?.tags || [],
+        description: tabData.contentTags?.description || '',
+        image: tabData.contentTags?.image || '',
+        author: tabData.contentTags?.author || '',
+        publishedDate: tabData.contentTags?.publishedDate || '',
+        wordCount: tabData.contentTags?.wordCount || 0,
+        language: tabData.contentTags?.language || '',
+        favIconUrl: tabData.favIconUrl || ''
+      };
+    }
+
+    if (context.collectionId !== null && context.collectionId !== undefined) {
+      urlRecord.collections = [...new Set([...(urlRecord.collections || []), context.collectionId])];
+    }
+
+    return urlRecord;
+  }
+
+  // Merge complete URL records (e.g. from an import) into the store
+  async importUrlRecords(records) {
+    if (!this.db) await this.init();
+
+    const rejected = [];
+    const canonical = [];
+    records.forEach(original => {
+      if (!original || typeof original.url !== 'string' || !original.url) {
+        rejected.push({ url: original?.url ?? null, reason: 'missing url' });
+        return;
+      }
+      canonical.push(this.canonicalRecord(original));
+    });
+    const keys = await Promise.all(canonical.map(record => this.storageKey(record.url)));
+
+    return this.updateRecords(
+      [this.urlStoreName, this.searchStoreName],
+      (transaction) => {
+        const store = transaction.objectStore(this.urlStoreName);
+        return Promise.all(keys.map(key => this.searchIndex.requestResult(store.get(key))));
+      },
+      (existingRecords) => {
+        const report = {
+          added: 0,
+          merged: 0,
+          rejected: [...rejected]
+        };
+
+        // Records for the same URL in one import are merged with each other first
+        const planned = new Map();
+        canonical.forEach((record, position) => {
+          const existing = planned.get(record.url)?.record || existingRecords[position];
+          const entry = planned.get(record.url) || { added: 0, merged: 0 };
+          entry.record = existing ? this.mergeUrlRecords(existing, record) : record;
+          entry[existing ? 'merged' : 'added']++;
+          report[existing ? 'merged' : 'added']++;
+          planned.set(record.url, entry);
+        });
+        const entries = [...planned.values()];
+
+        return {
+          records: entries.map(entry => entry.record),
+          // Records that can't be cloned or keyed are reported instead of failing the batch
+          onRejected: (record, error) => {
+            const entry = entries.find(item => item.record === record);
+            report.rejected.push({ url: record.url, reason: error.message });
+            report.added -= entry.added;
+            report.merged -= entry.merged;
+          },
+          result: report,
+          changeType: 'saved'
+        };
+      }
+    );
+  }
+
+  // Combine two records for the same URL: earliest firstSeen, latest lastSeen, summed accessCount
+  mergeUrlRecords(existing, incoming) {
+    const incomingIsNewer = new Date(incoming.lastSeen) > new Date(existing.lastSeen);
+    const newer = incomingIsNewer ? incoming : existing;
+    const older = incomingIsNewer ? existing : incoming;
+
+    const merged = { ...older, ...newer };
+
+    // Fill fields the newer record doesn't have
+    Object.keys(older).forEach(key => {
+      if (merged[key] === '' || merged[key] === null || merged[key] === undefined) {
+        merged[key] = older[key];
+      }
+    });
+
+    return {
+      ...merged,
+      url: existing.url,
+      firstSeen: new Date(incoming.firstSeen) < new Date(existing.firstSeen) ? incoming.firstSeen : existing.firstSeen,
+      lastSeen: newer.lastSeen,
+      accessCount: (existing.accessCount || 0) + (incoming.accessCount || 0),
+      categories: [...new Set([...(newer.categories || []), ...(older.categories || [])])],
+      tags: [...new Set([...(newer.tags || []), ...(older.tags || [])])],
+      aliases: [...new Set([...(existing.aliases || []), ...(incoming.aliases || [])])]
+        .filter(alias => alias !== existing.url)
+        .slice(-this.maxAliases),
+      history: this.addHistory(existing.history, incoming.history || []),
+      user: this.mergeUserFields(existing.user, incoming.user),
+      collections: [...new Set([...(existing.collections || []), ...(incoming.collections || [])])]
+    };
+  }
+
+  // Combine the user-owned fields of two records: the later edit wins, tag edits and stars add up
+  mergeUserFields(first, second) {
+    if (!first || !second) return first || second || undefined;
+
+    const secondIsNewer = new Date(second.updatedAt || 0) > new Date(first.updatedAt || 0);
+    const newer = secondIsNewer ? second : first;
+    const older = secondIsNewer ? first : second;
+    const addedTags = [...new Set([...(newer.addedTags || []), ...(older.addedTags || [])])];
+
+    return this.normalizeUserFields({
+      notes: newer.notes || older.notes,
+      addedTags: addedTags,
+      removedTags: [...(newer.removedTags || []), ...(older.removedTags || [])].filter(tag => !addedTags.includes(tag)),
+      categoryOverride: newer.categoryOverride || older.categoryOverride,
+      starred: !!(newer.starred || older.starred),
+      customTitle: newer.customTitle || older.customTitle,
+      // The status set last wins, independent of the other edits
+      ...(new Date(second.readingStatusAt || 0) > new Date(first.readingStatusAt || 0)
+        ? { readingStatus: second.readingStatus, readingStatusAt: second.readingStatusAt }
+        : { readingStatus: first.readingStatus, readingStatusAt: first.readingStatusAt }),
+      updatedAt: newer.updatedAt || older.updatedAt
+    });
+  }
+
+  emptyUserFields() {
+    return {
+      notes: '',
+      addedTags: [],
+      removedTags: [],
+      categoryOverride: null,
+      starred: false,
+      customTitle: '',
+      readingStatus: 'unread',
+      readingStatusAt: null,
+      updatedAt: null
+    };
+  }
+
+  // Coerce user fields to their stored types; tags are lowercase and unique
+  normalizeUserFields(user) {
+    const tagList = (tags) => [...new Set((Array.isArray(tags) ? tags : [])
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean))];
+    const categories = tagList(user.categoryOverride);
+
+    return {
+      notes: typeof user.notes === 'string' ? user.notes : '',
+      addedTags: tagList(user.addedTags),
+      removedTags: tagList(user.removedTags),
+      categoryOverride: categories.length > 0 ? categories : null,
+      starred: !!user.starred,
+      customTitle: typeof user.customTitle === 'string' ? user.customTitle.trim() : '',
+      readingStatus: this.readingStatuses.includes(user.readingStatus) ? user.readingStatus : 'unread',
+      readingStatusAt: user.readingStatusAt || null,
+      updatedAt: user.updatedAt || null
+    };
+  }
+
+  // A record with the user's edits applied over the generated title, categories and tags
+  displayRecord(record) {
+    const user = record.user || {};
+    const removed = new Set(user.removedTags || []);
+
+    return {
+      ...record,
+      title: user.customTitle || record.title,
+      categories: user.categoryOverride?.length ? user.categoryOverride : (record.categories || []),
+      tags: [...new Set([...(record.tags || []).filter(tag => !removed.has(tag)), ...(user.addedTags || [])])],
+      visitedUrl: this.visitedUrl(record),
+      starred: !!user.starred,
+      notes: user.notes || '',
+      readingStatus: user.readingStatus || 'unread'
+    };
+  }
+
+  // Edit the user-owned fields of a record (see userFieldNames); saves never overwrite these
+  async updateUserFields(url, changes) {
+    const unknown = Object.keys(changes).filter(key => !this.userFieldNames.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown user fields: ${unknown.join(', ')}`);
+    }
+
+    return this.editUserFields(url, () => changes);
+  }
+
+  // Move a record through the read-later states; records never touched count as unread
+  async setReadingStatus(url, status) {
+    if (!this.readingStatuses.includes(status)) {
+      throw new Error(`Unknown reading status "${status}", use one of: ${this.readingStatuses.join(', ')}`);
+    }
+
+    return this.editUserFields(url, () => ({ readingStatus: status, readingStatusAt: new Date().toISOString() }));
+  }
+
+  // Add or remove tags as the user sees them; generated tags are hidden rather than deleted
+  async editUserTags(url, { add = [], remove = [] }) {
+    return this.editUserFields(url, (record, user) => {
+      const machineTags = new Set(record.tags || []);
+      const addedTags = new Set(user.addedTags);
+      const removedTags = new Set(user.removedTags);
+
+      add.map(tag => tag.trim().toLowerCase()).filter(Boolean).forEach(tag => {
+        removedTags.delete(tag);
+        if (!machineTags.has(tag)) addedTags.add(tag);
+      });
+      remove.map(tag => tag.trim().toLowerCase()).forEach(tag => {
+        addedTags.delete(tag);
+        if (machineTags.has(tag)) removedTags.add(tag);
+      });
+
+      return { addedTags: [...addedTags], removedTags: [...removedTags] };
+    });
+  }
+
+  // Read-modify-write of record.user in one transaction; change(record, user) returns the new values
+  async editUserFields(url, change) {
+    if (!this.db) await this.init();
+
+    const key = await this.storageKey(url);
+
+    return this.updateRecords(
+      [this.urlStoreName, this.searchStoreName],
+      async (transaction) => [await this.searchIndex.requestResult(transaction.objectStore(this.urlStoreName).get(key))],
+      ([record]) => {
+        if (!record) {
+          throw new Error(`URL not found: ${url}`);
+        }
+
+        const user = { ...this.emptyUserFields(), ...record.user };
+        const updated = {
+          ...record,
+          user: this.normalizeUserFields({ ...user, ...change(record, user), updatedAt: new Date().toISOString() })
+        };
+        return { records: [updated], result: updated };
+      }
+    );
+  }
+
+  // Read-modify-write of url records, with their search postings. read(transaction) returns a list of
+  // stored records (or undefined for missing ones); change(records) gets them opened and returns
+  // { records, result, apply, onRejected, keepModifiedAt, changeType }: the records to put, the value to
+  // resolve with, an optional apply(transaction) for other stores, an optional handler that turns failed
+  // puts into reports, whether the records keep their modifiedAt instead of getting the current time and
+  // the notifyChange type ('updated' by default, 'saved' when records may be new).
+  // A plaintext library does all of it in one transaction. WebCrypto can't run inside a transaction,
+  // so an encrypted one reads first, seals outside, and writes once read returns the same records
+  // again; if another page changed them in between, the whole change runs again.
+  async updateRecords(storeNames, read, change) {
+    const writeStores = [...new Set([...storeNames, this.metaStoreName])];
+
+    for (let attempt = 1; attempt <= this.sealedWriteAttempts; attempt++) {
+      const encrypted = this.isEncrypted();
+      let stored = null;
+      let planned = null;
+      let prepared = null;
+
+      if (encrypted) {
+        stored = await read(this.db.transaction(storeNames, 'readonly'));
+        planned = this.stampModified(change(await this.openRecords(stored)));
+        prepared = await this.prepareRecords(planned.records, planned.onRejected);
+      }
+
+      const transaction = this.db.transaction(writeStores, 'readwrite');
+      let changed = false;
+
+      const write = async () => {
+        // A page that missed an encryption switch must not write records in the wrong form
+        const settings = await this.searchIndex.requestResult(transaction.objectStore(this.metaStoreName).get('encryption'));
+        if (!!settings !== encrypted) {
+          throw new Error('Library encryption was switched in another window, reload this page');
+        }
+
+        if (encrypted) {
+          if (JSON.stringify(await read(transaction)) !== JSON.stringify(stored)) {
+            changed = true;
+            throw new Error('Records changed while they were sealed');
+          }
+        } else {
+          planned = this.stampModified(change(await read(transaction)));
+          prepared = await this.prepareRecords(planned.records, planned.onRejected);
+        }
+
+        await this.putPrepared(transaction, prepared, planned.onRejected);
+        if (planned.apply) await planned.apply(transaction);
+        return planned.result;
+      };
+
+      try {
+        const [result] = await Promise.all([
+          write().catch(error => {
+            // Roll back everything written so far
+            transaction.abort();
+            throw error;
+          }),
+          this.transactionDone(transaction)
+        ]);
+        this.notifyChange({ type: planned.changeType || 'updated', urls: planned.records.map(record => record.url) });
+        return result;
+      } catch (error) {
+        if (!changed) throw error;
+      }
+    }
+
+    throw new Error('The library kept changing while saving, please try again');
   }
 
-  async init() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, this.dbVersion);
+  // Date the planned records for sync, unless they come from sync and keep the date they were changed at
+  stampModified(planned) {
+    if (!planned.keepModifiedAt) {
+      // In place: onRejected handlers find their records by identity
+      const modifiedAt = new Date().toISOString();
+      planned.records.forEach(record => { record.modifiedAt = modifiedAt; });
+    }
+    return planned;
+  }
+
+  // Stored form and search terms of records, ready for putPrepared
+  async prepareRecords(records, onRejected) {
+    const prepared = [];
+    for (const record of records) {
+      try {
+        prepared.push({ record, stored: await this.sealRecord(record), extracted: await this.searchTerms(record) });
+      } catch (error) {
+        if (!onRejected || error.name === 'LibraryLockedError') throw error;
+        onRejected(record, error);
+      }
+    }
+    return prepared;
+  }
+
+  // Put prepared records and their postings, inside the caller's transaction
+  async putPrepared(transaction, prepared, onRejected) {
+    const store = transaction.objectStore(this.urlStoreName);
+
+    for (const { record, stored, extracted } of prepared) {
+      try {
+        store.put(stored); // put() handles both insert and update
+      } catch (error) {
+        if (!onRejected) throw error;
+        onRejected(record, error);
+        continue;
+      }
+      await this.searchIndex.update(transaction, stored.url, stored, extracted);
+    }
+  }
+
+  // Add save events to a history, keeping it sorted by time and bounded to maxHistory
+  addHistory(history, entries) {
+    const seen = new Set();
+    return [...(history || []), ...entries]
+      .filter(entry => {
+        // The same event can arrive twice when an export is imported back
+        const key = `${entry.timestamp}|${entry.action}|${entry.windowId}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .slice(-this.maxHistory);
+  }
+
+  // Add an original URL to a record's alias list unless it is the record key itself
+  addAlias(aliases, recordUrl, originalUrl) {
+    const list = (aliases || []).filter(alias => alias !== originalUrl);
+    if (originalUrl && originalUrl !== recordUrl) {
+      list.push(originalUrl);
+    }
+    return list.slice(-this.maxAliases);
+  }
+
+  // Re-key a complete record (e.g. from an import) under its canonical URL
+  canonicalRecord(record) {
+    const url = this.canonicalizer.canonicalize(record.url);
+    const aliases = Array.isArray(record.aliases) ? record.aliases : [];
+    if (url === record.url) {
+      return { ...record, aliases };
+    }
+    return {
+      ...record,
+      url: url,
+      visitedUrl: record.visitedUrl || record.url,
+      domain: this.extractDomain(url),
+      aliases: this.addAlias(aliases, url, record.url)
+    };
+  }
+
+  // The URL to open for a record: the one last visited. Records saved before visitedUrl was kept
+  // fall back to their latest variant, which was visited, then to the canonical key
+  visitedUrl(record) {
+    return record.visitedUrl || (record.aliases || [])[(record.aliases || []).length - 1] || record.url;
+  }
+
+  // Get a single URL by its record key; other variants of the URL are found through
+  // the canonical key or the aliases index
+  async getUrl(url) {
+    if (!this.db) await this.init();
+
+    const keys = await this.lookupKeys(url);
+    const transaction = this.db.transaction([this.urlStoreName], 'readonly');
+    return this.openRecord(await this.findRecord(transaction.objectStore(this.urlStoreName), keys));
+  }
+
+  // Keys getUrl tries for a URL: the URL itself and its canonical form, as stored (see storageKey)
+  async lookupKeys(url) {
+    const canonicalUrl = this.canonicalizer.canonicalize(url);
+    return {
+      exact: await this.storageKey(url),
+      canonical: canonicalUrl !== url ? await this.storageKey(canonicalUrl) : null
+    };
+  }
+
+  // getUrl's lookup, inside the caller's transaction; returns the stored record
+  async findRecord(store, keys) {
+    const exact = await this.searchIndex.requestResult(store.get(keys.exact));
+    if (exact) return exact;
+
+    const canonical = keys.canonical ? await this.searchIndex.requestResult(store.get(keys.canonical)) : undefined;
+    if (canonical) return canonical;
+
+    return this.searchIndex.requestResult(store.index('aliases').get(keys.exact));
+  }
+
+  // Get several URLs in one transaction, in the order given; missing ones are skipped
+  async getUrls(urls) {
+    if (!this.db) await this.init();
+
+    const keys = await Promise.all(urls.map(url => this.storageKey(url)));
+    const transaction = this.db.transaction([this.urlStoreName], 'readonly');
+    const store = transaction.objectStore(this.urlStoreName);
+    const records = await Promise.all(keys.map(key => this.searchIndex.requestResult(store.get(key))));
+
+    return this.openRecords(records.filter(Boolean));
+  }
+
+  // Get all URLs sorted by an indexed field (most recent first by default)
+  async getAllUrls(options = {}) {
+    const page = await this.getUrlsPage({ ...options, limit: options.limit || Infinity });
+    return page.urls;
+  }
+
+  // Get one page of URLs by walking an index cursor. Pass the returned nextPageToken
+  // back as pageToken to continue; it is null once there are no more matches.
+  async getUrlsPage(options = {}) {
+    if (!this.db) await this.init();
+
+    const sortBy = options.sortBy || 'lastSeen';
+    const sortOrder = options.sortOrder || 'desc';
+    const limit = options.limit || 100;
+
+    if (!this.sortableFields.includes(sortBy)) {
+      throw new Error(`Cannot sort by "${sortBy}", sortable fields are: ${this.sortableFields.join(', ')}`);
+    }
+    // Their index keys are blind hashes, which sort in no meaningful order
+    if (this.isEncrypted() && (sortBy === 'domain' || sortBy === 'url')) {
+      throw new Error(`Cannot sort an encrypted library by "${sortBy}"`);
+    }
+
+    const direction = sortOrder === 'desc' ? 'prev' : 'next';
+    const token = options.pageToken ? this.decodePageToken(options.pageToken, sortBy, sortOrder) : null;
+    const matches = this.urlFilter(options);
+    const urls = [];
+    let last = null;
+    let position = token;
+
+    // Records are read in batches and opened between transactions, then filtered
+    for (;;) {
+      const batch = await this.readUrlBatch(sortBy, direction, position);
+      const records = await this.openRecords(batch.items.map(item => item.value));
+
+      for (const [i, record] of records.entries()) {
+        if (!matches(record)) continue;
+        if (urls.length >= limit) {
+          // Another match exists, so the page ends at the last returned record
+          return { urls, nextPageToken: this.encodePageToken(sortBy, sortOrder, last) };
+        }
+        urls.push(record);
+        last = batch.items[i].position;
+      }
+
+      if (batch.done) return { urls, nextPageToken: null };
+      position = batch.items[batch.items.length - 1].position;
+    }
+  }
+
+  // Up to readBatchSize stored records after position ({ key, primaryKey }, null for the start) in
+  // sort order, each with its own position; done tells that the cursor reached the end
+  readUrlBatch(sortBy, direction, position) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.urlStoreName], 'readonly');
+      const store = transaction.objectStore(this.urlStoreName);
+      const source = sortBy === 'url' ? store : store.index(sortBy);
+
+      // Start at the last key of the previous batch; on the store itself the primary key is unique
+      let range = null;
+      if (position) {
+        const exclusive = source === store;
+        range = direction === 'next'
+          ? IDBKeyRange.lowerBound(position.key, exclusive)
+          : IDBKeyRange.upperBound(position.key, exclusive);
+      }
+
+      const request = source.openCursor(range, direction);
+      const items = [];
+      let positioned = !position || source === store;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve({ items, done: true });
+          return;
+        }
+
+        // Index keys repeat, so move past the exact record the previous batch ended on
+        if (!positioned) {
+          const sameKey = indexedDB.cmp(cursor.key, position.key) === 0;
+          const primaryOrder = indexedDB.cmp(cursor.primaryKey, position.primaryKey);
+          const beforePosition = direction === 'next' ? primaryOrder < 0 : primaryOrder > 0;
+
+          if (sameKey && beforePosition) {
+            cursor.continuePrimaryKey(position.key, position.primaryKey);
+            return;
+          }
+          positioned = true;
+          if (sameKey && primaryOrder === 0) {
+            cursor.continue();
+            return;
+          }
+        }
+
+        items.push({ value: cursor.value, position: { key: cursor.key, primaryKey: cursor.primaryKey } });
+        if (items.length >= this.readBatchSize) {
+          resolve({ items, done: false });
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Predicate for the category/domain options of getUrlsPage
+  urlFilter(options) {
+    return (record) => {
+      if (options.category && !this.displayRecord(record).categories.includes(options.category)) return false;
+      if (options.domain && record.domain !== options.domain) return false;
+      if (options.starred && !record.user?.starred) return false;
+      if (options.readingStatus && ![].concat(options.readingStatus).includes(record.user?.readingStatus || 'unread')) return false;
+      if (options.collection !== undefined && !(record.collections || []).includes(options.collection)) return false;
+      return true;
+    };
+  }
+
+  encodePageToken(sortBy, sortOrder, position) {
+    const json = JSON.stringify({ sortBy, sortOrder, key: position.key, primaryKey: position.primaryKey });
+    return btoa(unescape(encodeURIComponent(json)));
+  }
+
+  decodePageToken(pageToken, sortBy, sortOrder) {
+    let token;
+    try {
+      token = JSON.parse(decodeURIComponent(escape(atob(pageToken))));
+    } catch (error) {
+      throw new Error('Invalid page token');
+    }
+
+    if (token.sortBy !== sortBy || token.sortOrder !== sortOrder) {
+      throw new Error('Page token was created for a different sort order');
+    }
+    return token;
+  }
+
+  // Walk every stored URL in batches, without loading the whole store
+  async forEachUrl(callback) {
+    if (!this.db) await this.init();
+
+    let lastKey = null;
+    for (;;) {
+      const transaction = this.db.transaction([this.urlStoreName], 'readonly');
+      const range = lastKey === null ? null : IDBKeyRange.lowerBound(lastKey, true);
+      const batch = await this.searchIndex.requestResult(transaction.objectStore(this.urlStoreName).getAll(range, this.readBatchSize));
+
+      (await this.openRecords(batch)).forEach(record => callback(record));
+
+      if (batch.length < this.readBatchSize) return;
+      lastKey = batch[batch.length - 1].url;
+    }
+  }
+
+  // Count stored URLs
+  async countUrls() {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.urlStoreName], 'readonly');
+      const request = transaction.objectStore(this.urlStoreName).count();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Distinct keys of an index, e.g. every category or domain in use
+  async getDistinctValues(indexName) {
+    if (!this.db) await this.init();
+
+    if (this.isEncrypted()) {
+      // The indexed fields are sealed, so the values come from the opened records
+      const keyPath = this.db.transaction([this.urlStoreName], 'readonly').objectStore(this.urlStoreName).index(indexName).keyPath;
+      const values = new Set();
+      await this.forEachUrl(record => {
+        const value = keyPath.split('.').reduce((item, part) => item?.[part], record);
+        [].concat(value ?? []).filter(item => ['string', 'number'].includes(typeof item)).forEach(item => values.add(item));
+      });
+      return [...values].sort((a, b) => indexedDB.cmp(a, b));
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.urlStoreName], 'readonly');
+      const request = transaction.objectStore(this.urlStoreName).index(indexName).openKeyCursor(null, 'nextunique');
+      const values = [];
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(values);
+          return;
+        }
+        values.push(cursor.key);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Search URLs through the full-text index, best matches first
+  async searchUrls(query, options = {}) {
+    if (!query || !query.trim()) {
+      return this.getAllUrls(options);
+    }
+    if (!this.db) await this.init();
+
+    // An encrypted index holds blind hashes of whole indexed terms, so query words have to match exactly
+    const queryTerms = this.isEncrypted() ? [...new Set(this.searchIndex.tokenize(query))] : this.searchIndex.queryTerms(query);
+
+    // A query of stop words or punctuation only ("the", "++") has no terms to look up
+    if (queryTerms.length === 0) {
+      return this.substringSearch(query, options);
+    }
+
+    const searchOptions = this.isEncrypted()
+      ? { ...options, exact: true, terms: await Promise.all(queryTerms.map(term => this.blindTerm(term))) }
+      : options;
+
+    const transaction = this.db.transaction([this.searchStoreName, this.urlStoreName], 'readonly');
+    const ranked = await this.searchIndex.search(transaction, query, searchOptions);
+    const store = transaction.objectStore(this.urlStoreName);
+    const records = await Promise.all(ranked.map(({ url }) => this.searchIndex.requestResult(store.get(url))));
+
+    return this.openRecords(records.filter(Boolean));
+  }
+
+  // Records whose URL or displayed text contains the query, most recently seen first
+  async substringSearch(query, options = {}) {
+    const needle = query.trim().toLowerCase();
+    const matches = [];
+
+    await this.forEachUrl(record => {
+      const shown = this.displayRecord(record);
+      const fields = [shown.title, shown.domain, shown.url, shown.description, shown.notes, ...shown.categories, ...shown.tags];
+      if (fields.some(field => typeof field === 'string' && field.toLowerCase().includes(needle))) {
+        matches.push(record);
+      }
+    });
+
+    matches.sort((a, b) => String(b.lastSeen).localeCompare(String(a.lastSeen)));
+    return options.limit ? matches.slice(0, options.limit) : matches;
+  }
+
+  // Re-index every saved URL, e.g. after changing the tokenizer
+  async rebuildSearchIndex() {
+    if (!this.db) await this.init();
+
+    if (this.isEncrypted()) {
+      const records = [];
+      await this.forEachUrl(record => records.push(record));
+      const prepared = await this.prepareRecords(records);
+
+      const transaction = this.db.transaction([this.searchStoreName, this.metaStoreName], 'readwrite');
+      this.searchIndex.buildFrom(transaction, prepared.map(({ stored, extracted }) => ({ url: stored.url, ...extracted })));
+      transaction.objectStore(this.metaStoreName).delete('searchRebuildNeeded');
+      await this.transactionDone(transaction);
+      return;
+    }
+
+    const transaction = this.db.transaction([this.urlStoreName, this.searchStoreName], 'readwrite');
+    await Promise.all([
+      this.searchIndex.build(transaction, this.urlStoreName),
+      this.transactionDone(transaction)
+    ]);
+  }
+
+  // Get one page of the URLs in a category, with the same sort and paging options and result as getUrlsPage.
+  // A user's category override counts, so both category indexes are read
+  async getUrlsByCategory(category, options = {}) {
+    return this.getIndexedUrlsPage(['categories', 'userCategories'], category, { ...options, category });
+  }
+
+  // Get one page of the URLs of a domain, with the same sort and paging options and result as getUrlsPage
+  async getUrlsByDomain(domain, options = {}) {
+    return this.getIndexedUrlsPage(['domain'], domain, { ...options, domain });
+  }
+
+  // getUrlsPage for records found through the given indexes under value. Only the matches are read;
+  // they are sorted in memory and the page token works the same as getUrlsPage's
+  async getIndexedUrlsPage(indexNames, value, options) {
+    if (!this.db) await this.init();
+
+    // The indexed fields of an encrypted library are sealed
+    if (this.isEncrypted()) return this.getUrlsPage(options);
+
+    const sortBy = options.sortBy || 'lastSeen';
+    const sortOrder = options.sortOrder || 'desc';
+    const limit = options.limit || 100;
+
+    if (!this.sortableFields.includes(sortBy)) {
+      throw new Error(`Cannot sort by "${sortBy}", sortable fields are: ${this.sortableFields.join(', ')}`);
+    }
+
+    const transaction = this.db.transaction([this.urlStoreName], 'readonly');
+    const store = transaction.objectStore(this.urlStoreName);
+    const found = await Promise.all(indexNames.map(name => this.searchIndex.requestResult(store.index(name).getAll(IDBKeyRange.only(value)))));
+
+    const matches = this.urlFilter(options);
+    const byUrl = new Map();
+    found.flat().forEach(record => {
+      if (record[sortBy] !== undefined && matches(record)) byUrl.set(record.url, record);
+    });
+
+    const sign = sortOrder === 'desc' ? -1 : 1;
+    const positionOf = (record) => ({ key: record[sortBy], primaryKey: record.url });
+    const compare = (a, b) => sign * (indexedDB.cmp(a.key, b.key) || indexedDB.cmp(a.primaryKey, b.primaryKey));
+    let sorted = [...byUrl.values()].sort((a, b) => compare(positionOf(a), positionOf(b)));
+
+    if (options.pageToken) {
+      const token = this.decodePageToken(options.pageToken, sortBy, sortOrder);
+      sorted = sorted.filter(record => compare(positionOf(record), token) > 0);
+    }
+
+    const urls = sorted.slice(0, limit);
+    return {
+      urls: urls,
+      nextPageToken: sorted.length > limit ? this.encodePageToken(sortBy, sortOrder, positionOf(urls[urls.length - 1])) : null
+    };
+  }
+
+  // Delete a URL by moving it to the trash; returns { batchId, count } for undoDelete
+  async deleteUrl(url) {
+    return this.deleteUrls([url]);
+  }
+
+  // Move several URLs to the trash as one batch and leave tombstones for sync. options.deletedAt
+  // dates the tombstones, sync passes the time of a delete made on another machine
+  async deleteUrls(urls, options = {}) {
+    if (!this.db) await this.init();
+
+    const batchId = this.newBatchId();
+    const deletedAt = new Date().toISOString();
+    const keys = await Promise.all(urls.map(url => this.storageKey(url)));
+    let count = 0;
+
+    const transaction = this.db.transaction([this.urlStoreName, this.searchStoreName, this.trashStoreName, this.tombstoneStoreName], 'readwrite');
+    const urlStore = transaction.objectStore(this.urlStoreName);
+    const trashStore = transaction.objectStore(this.trashStoreName);
+    const tombstoneStore = transaction.objectStore(this.tombstoneStoreName);
+
+    const deleted = [];
+    const moveAll = async () => {
+      for (const [position, key] of keys.entries()) {
+        const record = await this.searchIndex.requestResult(urlStore.get(key));
+        if (!record) continue;
+
+        // Trash entries keep the stored form, so encrypted records stay sealed
+        trashStore.put({ url: key, record, deletedAt, batchId });
+        tombstoneStore.put(this.tombstoneFor(record, options.deletedAt || deletedAt));
+        urlStore.delete(key);
+        await this.searchIndex.update(transaction, key, null);
+        deleted.push(urls[position]);
+        count++;
+      }
+    };
+
+    // A failure partway leaves every record where it was
+    await Promise.all([
+      moveAll().catch(error => {
+        transaction.abort();
+        throw error;
+      }),
+      this.transactionDone(transaction)
+    ]);
+    if (count > 0) this.notifyChange({ type: 'deleted', urls: deleted });
+    return { batchId, count };
+  }
+
+  // Move all URLs to the trash as one batch
+  async clearAllUrls() {
+    if (!this.db) await this.init();
+
+    const batchId = this.newBatchId();
+    const deletedAt = new Date().toISOString();
+    let count = 0;
+
+    const transaction = this.db.transaction([this.urlStoreName, this.searchStoreName, this.trashStoreName, this.tombstoneStoreName], 'readwrite');
+    const trashStore = transaction.objectStore(this.trashStoreName);
+    const tombstoneStore = transaction.objectStore(this.tombstoneStoreName);
+    const request = transaction.objectStore(this.urlStoreName).openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+
+      trashStore.put({ url: cursor.value.url, record: cursor.value, deletedAt, batchId });
+      tombstoneStore.put(this.tombstoneFor(cursor.value, deletedAt));
+      cursor.delete();
+      count++;
+      cursor.continue();
+    };
+    // Nothing is left to search, so the index is dropped as a whole
+    transaction.objectStore(this.searchStoreName).clear();
+
+    await this.transactionDone(transaction);
+    this.notifyChange({ type: 'cleared' });
+    return { batchId, count };
+  }
+
+  // Restore every URL of a delete batch
+  async undoDelete(batchId) {
+    if (!this.db) await this.init();
+
+    const transaction = this.db.transaction([this.trashStoreName], 'readonly');
+    const index = transaction.objectStore(this.trashStoreName).index('batchId');
+    const keys = await this.searchIndex.requestResult(index.getAllKeys(batchId));
+
+    return this.restoreTrashKeys(keys);
+  }
+
+  // Put trashed records back; a URL saved again after its deletion is merged with the trashed record
+  async restoreFromTrash(urls) {
+    if (!this.db) await this.init();
+
+    return this.restoreTrashKeys(await Promise.all(urls.map(url => this.storageKey(url))));
+  }
+
+  async restoreTrashKeys(keys) {
+    return this.updateRecords(
+      [this.urlStoreName, this.searchStoreName, this.trashStoreName, this.tombstoneStoreName],
+      async (transaction) => {
+        const get = (storeName, key) => this.searchIndex.requestResult(transaction.objectStore(storeName).get(key));
+        const entries = await Promise.all(keys.map(key => get(this.trashStoreName, key)));
+        const existing = await Promise.all(keys.map(key => get(this.urlStoreName, key)));
+        // Trashed records first, then the records saved under the same keys since
+        return [...entries.map(entry => entry?.record), ...existing];
+      },
+      (records) => {
+        const restored = [];
+        const restoredKeys = [];
+        keys.forEach((key, position) => {
+          const record = records[position];
+          if (!record) return;
+
+          const existing = records[keys.length + position];
+          restored.push(existing ? this.mergeUrlRecords(existing, record) : record);
+          restoredKeys.push(key);
+        });
+
+        return {
+          records: restored,
+          result: restored.length,
+          changeType: 'saved',
+          apply: (transaction) => {
+            const trashStore = transaction.objectStore(this.trashStoreName);
+            const tombstoneStore = transaction.objectStore(this.tombstoneStoreName);
+            restoredKeys.forEach(key => {
+              trashStore.delete(key);
+              tombstoneStore.delete(key);
+            });
+          }
+        };
+      }
+    );
+  }
+
+  // Get trash entries ({ url, record, deletedAt, batchId }), most recently deleted first
+  async getTrash() {
+    if (!this.db) await this.init();
+
+    const transaction = this.db.transaction([this.trashStoreName], 'readonly');
+    const entries = await this.searchIndex.requestResult(transaction.objectStore(this.trashStoreName).index('deletedAt').getAll());
+
+    // Entries of an encrypted library are keyed by blind hash, callers get the plain URL
+    return Promise.all(entries.reverse().map(async entry => {
+      const record = await this.openRecord(entry.record);
+      return { ...entry, url: record.url, record };
+    }));
+  }
+
+  // Permanently delete trash entries; returns how many were still there
+  async purgeFromTrash(urls) {
+    if (!this.db) await this.init();
+
+    const keys = await Promise.all(urls.map(url => this.storageKey(url)));
+    const transaction = this.db.transaction([this.trashStoreName], 'readwrite');
+    const store = transaction.objectStore(this.trashStoreName);
+    let count = 0;
+
+    // Entries purged already, e.g. from another page, don't count
+    const purgeAll = async () => {
+      for (const key of keys) {
+        if (await this.searchIndex.requestResult(store.getKey(key)) === undefined) continue;
+        store.delete(key);
+        count++;
+      }
+    };
+
+    await Promise.all([
+      purgeAll().catch(error => {
+        transaction.abort();
+        throw error;
+      }),
+      this.transactionDone(transaction)
+    ]);
+    return count;
+  }
+
+  // Permanently delete everything in the trash
+  async emptyTrash() {
+    if (!this.db) await this.init();
+
+    const transaction = this.db.transaction([this.trashStoreName], 'readwrite');
+    transaction.objectStore(this.trashStoreName).clear();
+    await this.transactionDone(transaction);
+
+    return true;
+  }
+
+  // Permanently delete trash entries older than the retention period
+  async purgeExpiredTrash() {
+    if (!this.db) await this.init();
+
+    const retentionDays = await this.getTrashRetentionDays();
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    let count = 0;
+
+    const transaction = this.db.transaction([this.trashStoreName], 'readwrite');
+    const index = transaction.objectStore(this.trashStoreName).index('deletedAt');
+    const request = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.delete();
+      count++;
+      cursor.continue();
+    };
+
+    await this.transactionDone(transaction);
+    return count;
+  }
+
+  // Days a deleted URL stays in the trash, stored in chrome.storage.local
+  async getTrashRetentionDays() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return this.trashRetentionDays;
+
+    const stored = await chrome.storage.local.get('trashRetentionDays');
+    const days = Number(stored.trashRetentionDays);
+    return days > 0 ? days : this.trashRetentionDays;
+  }
+
+  async setTrashRetentionDays(days) {
+    const value = Number(days);
+    if (!(value > 0)) {
+      throw new Error('Trash retention must be a positive number of days');
+    }
+    await chrome.storage.local.set({ trashRetentionDays: value });
+    return value;
+  }
+
+  newBatchId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // Tombstone of a stored record: its key and when it went. A sealed record's tombstone keeps the sealed
+  // part, which holds the URL, so it can be written without the key
+  tombstoneFor(stored, deletedAt) {
+    return stored.sealed ? { url: stored.url, deletedAt, sealed: stored.sealed } : { url: stored.url, deletedAt };
+  }
+
+  async sealTombstone(tombstone) {
+    if (!this.isEncrypted()) return tombstone;
+    return { url: await this.vault.blind(tombstone.url), deletedAt: tombstone.deletedAt, sealed: await this.vault.seal({ url: tombstone.url }) };
+  }
+
+  async openTombstone(stored) {
+    if (!stored.sealed) return stored;
+    return { url: (await this.vault.open(stored.sealed)).url, deletedAt: stored.deletedAt };
+  }
+
+  // Tombstones ({ url, deletedAt }) of deleted URLs, oldest first
+  async getTombstones() {
+    if (!this.db) await this.init();
+
+    const transaction = this.db.transaction([this.tombstoneStoreName], 'readonly');
+    const stored = await this.searchIndex.requestResult(transaction.objectStore(this.tombstoneStoreName).index('deletedAt').getAll());
+    return Promise.all(stored.map(tombstone => this.openTombstone(tombstone)));
+  }
+
+  // Forget tombstones of deletes older than before (ISO date); returns how many went
+  async purgeTombstones(before) {
+    if (!this.db) await this.init();
+
+    let count = 0;
+    const transaction = this.db.transaction([this.tombstoneStoreName], 'readwrite');
+    const request = transaction.objectStore(this.tombstoneStoreName).index('deletedAt').openCursor(IDBKeyRange.upperBound(before, true));
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.delete();
+      count++;
+      cursor.continue();
+    };
+
+    await this.transactionDone(transaction);
+    return count;
+  }
+
+  // Put records that sync merged from another machine. They keep their modifiedAt, so they don't look
+  // like local changes, and drop the tombstones of URLs that came back
+  async putSyncedRecords(records) {
+    if (!this.db) await this.init();
+
+    const keys = await Promise.all(records.map(record => this.storageKey(record.url)));
+    return this.updateRecords(
+      [this.urlStoreName, this.searchStoreName, this.tombstoneStoreName],
+      () => [],
+      () => ({
+        records: records,
+        result: records.length,
+        keepModifiedAt: true,
+        changeType: 'saved',
+        apply: (transaction) => {
+          const tombstoneStore = transaction.objectStore(this.tombstoneStoreName);
+          keys.forEach(key => tombstoneStore.delete(key));
+        }
+      })
+    );
+  }
+
+  // Retention rules, stored in chrome.storage.local; see defaultRetentionRules
+  async getRetentionRules() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return { ...this.defaultRetentionRules };
+
+    const stored = await chrome.storage.local.get('retentionRules');
+    return this.normalizeRetentionRules({ ...this.defaultRetentionRules, ...(stored.retentionRules || {}) });
+  }
+
+  async setRetentionRules(rules) {
+    const normalized = this.normalizeRetentionRules(rules);
+    await chrome.storage.local.set({ retentionRules: normalized });
+    return normalized;
+  }
+
+  normalizeRetentionRules(rules) {
+    // Empty means the rule is off
+    const positive = (value, label) => {
+      if (value === null || value === undefined || value === '') return null;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`${label} must be a whole number above 0`);
+      }
+      return number;
+    };
+
+    return {
+      enabled: !!rules.enabled,
+      maxRecords: positive(rules.maxRecords, 'Maximum records'),
+      unrevisitedMonths: positive(rules.unrevisitedMonths, 'Months without a revisit'),
+      keepStarred: rules.keepStarred !== false
+    };
+  }
+
+  // Dry run: the records the rules would prune, least recently seen first, each with the rule
+  // that selected it ('unrevisited' or 'over-limit'). Nothing is changed.
+  async previewRetention(rules) {
+    const normalized = this.normalizeRetentionRules(rules || await this.getRetentionRules());
+    const cutoff = new Date();
+    cutoff.setMonth(cutoff.getMonth() - (normalized.unrevisitedMonths || 0));
+
+    const candidates = [];
+    let total = 0;
+    await this.forEachUrl(record => {
+      total++;
+      if (normalized.keepStarred && record.user?.starred) return;
+      candidates.push({
+        url: record.url,
+        title: this.displayRecord(record).title,
+        lastSeen: record.lastSeen,
+        accessCount: record.accessCount || 1
+      });
+    });
+    candidates.sort((a, b) => new Date(a.lastSeen) - new Date(b.lastSeen));
+
+    const pruned = new Map();
+    if (normalized.unrevisitedMonths) {
+      candidates
+        .filter(item => item.accessCount <= 1 && new Date(item.lastSeen) < cutoff)
+        .forEach(item => pruned.set(item.url, { ...item, reason: 'unrevisited' }));
+    }
+    if (normalized.maxRecords) {
+      // Starred records count towards the limit but are never the ones removed
+      let excess = total - pruned.size - normalized.maxRecords;
+      for (const item of candidates) {
+        if (excess <= 0) break;
+        if (pruned.has(item.url)) continue;
+        pruned.set(item.url, { ...item, reason: 'over-limit' });
+        excess--;
+      }
+    }
+
+    return {
+      rules: normalized,
+      totalUrls: total,
+      urls: [...pruned.values()].sort((a, b) => new Date(a.lastSeen) - new Date(b.lastSeen))
+    };
+  }
+
+  // Prune what previewRetention lists by moving it to the trash; returns { batchId, count } for undoDelete
+  async applyRetention(rules) {
+    const preview = await this.previewRetention(rules);
+    if (preview.urls.length === 0) return { batchId: null, count: 0 };
+
+    return this.deleteUrls(preview.urls.map(item => item.url));
+  }
+
+  async runAutomaticRetention() {
+    if (!this.db) await this.init();
+
+    const rules = await this.getRetentionRules();
+    // A locked library is left for a run while it is unlocked
+    if (!rules.enabled || this.isLocked()) return { batchId: null, count: 0 };
+
+    return this.applyRetention(rules);
+  }
+
+  // Daily housekeeping, run once by the background worker's alarm rather than by every page that
+  // opens the library; one step failing doesn't stop the other
+  async runMaintenance() {
+    const [purged, pruned] = await Promise.all([
+      this.purgeExpiredTrash().catch(error => console.warn('Could not purge expired trash:', error)),
+      this.runAutomaticRetention().catch(error => console.warn('Could not apply retention rules:', error))
+    ]);
+    return { purged: purged ?? 0, pruned: pruned?.count ?? 0 };
+  }
+
+  // Usage and quota of the extension's origin; null where the StorageManager API is missing
+  async getStorageEstimate() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+    return {
+      usage: usage,
+      quota: quota,
+      percent: quota ? Math.round(usage / quota * 1000) / 10 : 0,
+      persisted: persisted
+    };
+  }
+
+  // Ask the browser not to evict our data under storage pressure; resolves to whether it agreed
+  async requestPersistentStorage() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.persist) return false;
+
+    if (navigator.storage.persisted && await navigator.storage.persisted()) return true;
+    return navigator.storage.persist();
+  }
+
+  // Replace a failed write's QuotaExceededError with one that says how to free space
+  storageError(error) {
+    if (error?.name !== 'QuotaExceededError') return error;
+
+    const quotaError = new Error('Browser storage is full. Delete URLs you no longer need in the viewer, then empty the trash to free space.');
+    quotaError.name = 'QuotaExceededError';
+    return quotaError;
+  }
+
+  // Resolves when a transaction commits, rejects when it fails or aborts
+  transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(this.storageError(transaction.error));
+      transaction.onabort = () => reject(this.storageError(transaction.error) || new Error('Transaction aborted'));
+    });
+  }
+
+  // Tell the other extension pages what was written: { type, urls }. type is 'saved' (urls were put and
+  // may be new), 'updated' (urls were put), 'deleted' (urls went to the trash), 'cleared' (every URL went),
+  // 'collections', 'sessions' or 'reset' (the whole library was rewritten). A BroadcastChannel doesn't
+  // deliver to itself, so the page that made the change updates its own view
+  notifyChange(change) {
+    const channel = this.getChangeChannel();
+    if (channel) channel.postMessage(change);
+  }
+
+  // Call listener(change) for every change another page writes
+  onChange(listener) {
+    const channel = this.getChangeChannel();
+    if (channel) channel.addEventListener('message', event => listener(event.data));
+  }
+
+  getChangeChannel() {
+    if (!this.changeChannel && typeof BroadcastChannel !== 'undefined') {
+      this.changeChannel = new BroadcastChannel(this.changeChannelName);
+    }
+    return this.changeChannel;
+  }
+
+  isEncrypted() {
+    return !!this.encryption;
+  }
+
+  // Encrypted and not unlocked in this browser session; reads and writes of records fail
+  isLocked() {
+    return this.isEncrypted() && !this.vault.isUnlocked();
+  }
+
+  // Unlock an encrypted library for every extension page until the browser closes or lock is called
+  async unlock(passphrase) {
+    if (!this.db) await this.init();
+    if (!this.isEncrypted()) return true;
+
+    await this.vault.unlock(passphrase, this.encryption);
+    await this.rebuildDeferredSearchIndex();
+    return true;
+  }
+
+  // Rebuild the search index a migration couldn't rebuild while the records were sealed
+  async rebuildDeferredSearchIndex() {
+    if (!this.isEncrypted()) return;
+
+    const transaction = this.db.transaction([this.metaStoreName], 'readonly');
+    if (!await this.searchIndex.requestResult(transaction.objectStore(this.metaStoreName).get('searchRebuildNeeded'))) return;
+
+    await this.rebuildSearchIndex();
+  }
+
+  async lock() {
+    await this.vault.lock();
+    return true;
+  }
+
+  // Encrypt the library with a passphrase. URL and trash records are sealed, only blind hashes of
+  // URLs and the fields sorting needs stay readable, session snapshots are sealed and the search
+  // index is rebuilt over blind hashes of its terms
+  async enableEncryption(passphrase) {
+    if (!this.db) await this.init();
+    if (this.isEncrypted()) {
+      throw new Error('The library is already encrypted');
+    }
+
+    const library = await this.readLibrary();
+    const settings = await this.vault.createSettings(passphrase);
+    this.encryption = settings;
+
+    try {
+      await this.writeLibrary(library, { unchanged: true, wasEncrypted: false, changeMeta: metaStore => metaStore.put(settings) });
+    } catch (error) {
+      this.encryption = null;
+      await this.vault.lock();
+      throw error;
+    }
+
+    await this.notifyEncryptionChange();
+    return true;
+  }
+
+  // Turn encryption off again, storing everything in plaintext; asks for the passphrase once more
+  async disableEncryption(passphrase) {
+    if (!this.db) await this.init();
+    if (!this.isEncrypted()) {
+      throw new Error('The library is not encrypted');
+    }
+
+    await this.vault.unlock(passphrase, this.encryption);
+    const library = await this.readLibrary();
+    const settings = this.encryption;
+    this.encryption = null;
+
+    try {
+      await this.writeLibrary(library, { unchanged: true, wasEncrypted: true, changeMeta: metaStore => metaStore.delete('encryption') });
+    } catch (error) {
+      this.encryption = settings;
+      throw error;
+    }
+
+    await this.vault.lock();
+    await this.notifyEncryptionChange();
+    return true;
+  }
+
+  // Every URL record, trash entry, session and collection, opened
+  async readLibrary() {
+    if (!this.db) await this.init();
+
+    const records = [];
+    await this.forEachUrl(record => records.push(record));
+
+    return {
+      records: records,
+      trash: await this.getTrash(),
+      sessions: await this.getSessions(),
+      collections: await this.getCollections(),
+      tombstones: await this.getTombstones()
+    };
+  }
+
+  // Replace the whole library with one shaped like readLibrary's, stored in the current form, in one
+  // transaction: an interrupted rewrite leaves the library as it was. The search index is rebuilt, the
+  // tombstones are only replaced when library.tombstones is there. options.unchanged fails instead of
+  // losing data when records were added or removed since readLibrary, options.wasEncrypted is the state
+  // the meta store must still be in (the current one by default) and options.changeMeta(metaStore)
+  // changes the meta store in the same transaction
+  async writeLibrary(library, options = {}) {
+    const wasEncrypted = options.wasEncrypted ?? this.isEncrypted();
+    const records = await this.prepareRecords(library.records);
+    const trash = await Promise.all(library.trash.map(async entry => ({
+      ...entry,
+      url: await this.storageKey(entry.record.url),
+      record: await this.sealRecord(entry.record)
+    })));
+    const sessions = await Promise.all(library.sessions.map(session => this.sealSession(session)));
+    const tombstones = library.tombstones && await Promise.all(library.tombstones.map(tombstone => this.sealTombstone(tombstone)));
+
+    const storeNames = [this.urlStoreName, this.searchStoreName, this.trashStoreName, this.exportStoreName, this.collectionStoreName, this.metaStoreName, this.tombstoneStoreName];
+    const transaction = this.db.transaction(storeNames, 'readwrite');
+    const urlStore = transaction.objectStore(this.urlStoreName);
+    const trashStore = transaction.objectStore(this.trashStoreName);
+    const exportStore = transaction.objectStore(this.exportStoreName);
+    const collectionStore = transaction.objectStore(this.collectionStoreName);
+    const metaStore = transaction.objectStore(this.metaStoreName);
+
+    const write = async () => {
+      const [urlCount, trashCount, settings] = await Promise.all([
+        this.searchIndex.requestResult(urlStore.count()),
+        this.searchIndex.requestResult(trashStore.count()),
+        this.searchIndex.requestResult(metaStore.get('encryption'))
+      ]);
+      const countsChanged = urlCount !== library.records.length || trashCount !== library.trash.length;
+      if ((options.unchanged && countsChanged) || !!settings !== wasEncrypted) {
+        throw new Error('The library changed while it was rewritten, please try again');
+      }
+
+      [urlStore, trashStore, exportStore, collectionStore].forEach(store => store.clear());
+      records.forEach(({ stored }) => urlStore.put(stored));
+      trash.forEach(entry => trashStore.put(entry));
+      sessions.forEach(session => exportStore.put(session));
+      library.collections.forEach(collection => collectionStore.put(collection));
+      this.searchIndex.buildFrom(transaction, records.map(({ stored, extracted }) => ({ url: stored.url, ...extracted })));
+      metaStore.delete('searchRebuildNeeded');
+      if (tombstones) {
+        const tombstoneStore = transaction.objectStore(this.tombstoneStoreName);
+        tombstoneStore.clear();
+        tombstones.forEach(tombstone => tombstoneStore.put(tombstone));
+      }
+      if (options.changeMeta) options.changeMeta(metaStore);
+    };
+
+    await Promise.all([
+      write().catch(error => {
+        transaction.abort();
+        throw error;
+      }),
+      this.transactionDone(transaction)
+    ]);
+    this.notifyChange({ type: 'reset' });
+  }
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve(this.db);
-      };
+  // Add a library shaped like readLibrary's to this one. URL records are merged like an import,
+  // collections are matched by name, trash entries and sessions that are here already are skipped.
+  // Tombstones are kept for URLs with no record here, the later delete winning
+  async mergeLibrary(library) {
+    if (!this.db) await this.init();
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        
-        // Create URLs store for individual URL storage
-        if (!db.objectStoreNames.contains(this.urlStoreName)) {
-          const urlStore = db.createObjectStore(this.urlStoreName, { 
-            keyPath: 'url'  // URL as primary key for natural deduplication
-          });
-          
-          // Indexes for efficient querying
-          urlStore.createIndex('domain', 'domain', { unique: false });
-          urlStore.createIndex('firstSeen', 'firstSeen', { unique: false });
-          urlStore.createIndex('lastSeen', 'lastSeen', { unique: false });
-          urlStore.createIndex('accessCount', 'accessCount', { unique: false });
-          urlStore.createIndex('categories', 'categories', { unique: false, multiEntry: true });
-          urlStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
-        }
-        
-        // Keep old store for backward compatibility
-        if (!db.objectStoreNames.contains(this.exportStoreName)) {
-          const exportStore = db.createObjectStore(this.exportStoreName, { 
-            keyPath: 'id', 
-            autoIncrement: true 
-          });
-          
-          exportStore.createIndex('timestamp', 'timestamp', { unique: false });
-          exportStore.createIndex('format', 'format', { unique: false });
-          exportStore.createIndex('windowCount', 'windowCount', { unique: false });
-        }
-      };
+    const collections = await this.getCollections();
+    const collectionIds = new Map();
+    let addedCollections = 0;
+    for (const collection of library.collections) {
+      let match = collections.find(item => item.name.toLowerCase() === collection.name.toLowerCase());
+      if (!match) {
+        match = await this.createCollection(collection);
+        collections.push(match);
+        addedCollections++;
+      }
+      collectionIds.set(collection.id, match.id);
+    }
+    const remap = (record) => ({
+      ...record,
+      collections: (record.collections || []).map(id => collectionIds.get(id)).filter(id => id !== undefined)
     });
+
+    const report = await this.importUrlRecords(library.records.map(remap));
+
+    const sessionKey = (session) => `${session.timestamp}|${session.tabCount}`;
+    const knownSessions = new Set((await this.getSessions()).map(sessionKey));
+    const sessions = await Promise.all(library.sessions
+      .filter(session => !knownSessions.has(sessionKey(session)))
+      .map(({ id, ...session }) => this.sealSession(session)));
+    const trash = await Promise.all(library.trash.map(async entry => ({
+      ...entry,
+      url: await this.storageKey(entry.record.url),
+      record: await this.sealRecord(remap(entry.record))
+    })));
+
+    const tombstones = await Promise.all((library.tombstones || []).map(tombstone => this.sealTombstone(tombstone)));
+
+    const transaction = this.db.transaction([this.urlStoreName, this.trashStoreName, this.exportStoreName, this.tombstoneStoreName], 'readwrite');
+    const urlStore = transaction.objectStore(this.urlStoreName);
+    const trashStore = transaction.objectStore(this.trashStoreName);
+    const exportStore = transaction.objectStore(this.exportStoreName);
+    const tombstoneStore = transaction.objectStore(this.tombstoneStoreName);
+    let addedTrash = 0;
+    let addedTombstones = 0;
+
+    const addAll = async () => {
+      for (const entry of trash) {
+        if (await this.searchIndex.requestResult(trashStore.getKey(entry.url)) !== undefined) continue;
+        trashStore.put(entry);
+        addedTrash++;
+      }
+      sessions.forEach(session => exportStore.add(session));
+      for (const tombstone of tombstones) {
+        if (await this.searchIndex.requestResult(urlStore.getKey(tombstone.url)) !== undefined) continue;
+        const existing = await this.searchIndex.requestResult(tombstoneStore.get(tombstone.url));
+        if (existing && existing.deletedAt >= tombstone.deletedAt) continue;
+        tombstoneStore.put(tombstone);
+        addedTombstones++;
+      }
+    };
+
+    await Promise.all([
+      addAll().catch(error => {
+        transaction.abort();
+        throw error;
+      }),
+      this.transactionDone(transaction)
+    ]);
+    if (sessions.length > 0) this.notifyChange({ type: 'sessions' });
+
+    return {
+      ...report,
+      collections: addedCollections,
+      trash: addedTrash,
+      sessions: sessions.length,
+      tombstones: addedTombstones
+    };
   }
 
-  // Save individual URLs with deduplication and metadata
-  async saveUrls(tabsData, options = { append: true }) {
-    if (!this.db) await this.init();
+  // Let other open pages reload the encryption settings
+  async notifyEncryptionChange() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+    await chrome.storage.local.set({ encryptionChangedAt: new Date().toISOString() });
+  }
 
-    const results = {
-      saved: 0,
-      updated: 0,
-      errors: []
+  // Key of a URL in the urls and trash stores: the URL itself, or its blind hash when encrypted
+  async storageKey(url) {
+    return this.isEncrypted() ? this.vault.blind(url) : url;
+  }
+
+  blindTerm(term) {
+    return this.vault.blind(`term:${term}`);
+  }
+
+  // Stored form of a record. Encrypted, only what the indexes need stays outside the sealed copy:
+  // blind hashes of the URL and its aliases, the sortable dates and count, and collection ids
+  async sealRecord(record) {
+    if (!this.isEncrypted()) return record;
+
+    const { collections, ...rest } = record;
+    return {
+      url: await this.vault.blind(record.url),
+      aliases: await Promise.all((record.aliases || []).map(alias => this.vault.blind(alias))),
+      firstSeen: record.firstSeen,
+      lastSeen: record.lastSeen,
+      accessCount: record.accessCount,
+      modifiedAt: record.modifiedAt,
+      collections: collections || [],
+      sealed: await this.vault.seal(rest)
     };
+  }
 
-    for (const tab of tabsData) {
-      try {
-        await this.saveUrl(tab, options.append);
-        const existing = await this.getUrl(tab.url);
-        if (existing && existing.accessCount > 1) {
-          results.updated++;
-        } else {
-          results.saved++;
-        }
-      } catch (error) {
-        results.errors.push({ url: tab.url, error: error.message });
-      }
-    }
+  // Record as callers see it; plaintext records pass through
+  async openRecord(stored) {
+    if (!stored || !stored.sealed) return stored;
+    // Collection changes and their modifiedAt are written without unsealing the record
+    const record = { ...await this.vault.open(stored.sealed), collections: stored.collections || [] };
+    if (stored.modifiedAt) record.modifiedAt = stored.modifiedAt;
+    return record;
+  }
 
-    return results;
+  openRecords(storedRecords) {
+    return Promise.all(storedRecords.map(stored => this.openRecord(stored)));
   }
 
-  // Save or update a single URL
-  async saveUrl(tabData, append = true) {
-    if (!this.db) await this.init();
+  // Search postings of a record; an encrypted library indexes blind hashes of the terms
+  async searchTerms(record) {
+    const extracted = this.searchIndex.extractTerms(record);
+    if (!this.isEncrypted()) return extracted;
 
-    const now = new Date().toISOString();
-    const domain = this.extractDomain(tabData.url);
-    
-    // Check if URL already exists
-    const existing = await this.getUrl(tabData.url);
-    
-    let urlRecord;
-    if (existing && append) {
-      // Update existing record
-      urlRecord = {
-        ...existing,
-        title: tabData.title, // Update title in case it changed
-        lastSeen: now,
-        accessCount: (existing.accessCount || 1) + 1,
-        // Update content tags if available
-        ...(tabData.contentTags && {
-          categories: tabData.contentTags.categories || existing.categories,
-          confidence: tabData.contentTags.confidence || existing.confidence,
-          tags: tabData.contentTags.tags || existing.tags,
-          description: tabData.contentTags.description || existing.description,
-          image: tabData.contentTags.image || existing.image,
-          author: tabData.contentTags.author || existing.author,
-          publishedDate: tabData.contentTags.publishedDate || existing.publishedDate,
-          wordCount: tabData.contentTags.wordCount || existing.wordCount,
-          language: tabData.contentTags.language || existing.language
-        })
-      };
-    } else {
-      // Create new record
-      urlRecord = {
-        url: tabData.url,
-        title: tabData.title,
-        domain: domain,
-        firstSeen: now,
-        lastSeen: now,
-        accessCount: 1,
-        categories: tabData.contentTags?.categories || [],
-        confidence: tabData.contentTags?.confidence || 0,
-        tags: tabData.contentTags?.tags || [],
-        description: tabData.contentTags?.description || '',
-        image: tabData.contentTags?.image || '',
-        author: tabData.contentTags?.author || '',
-        publishedDate: tabData.contentTags?.publishedDate || '',
-        wordCount: tabData.contentTags?.wordCount || 0,
-        language: tabData.contentTags?.language || '',
-        favIconUrl: tabData.favIconUrl || ''
-      };
+    const terms = new Map();
+    for (const [term, tf] of extracted.terms) {
+      terms.set(await this.blindTerm(term), tf);
     }
+    return { terms, docLength: extracted.docLength };
+  }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.urlStoreName], 'readwrite');
-      const store = transaction.objectStore(this.urlStoreName);
-      const request = store.put(urlRecord); // put() handles both insert and update
+  // Session snapshots keep their counts and timestamp readable, the tabs are sealed
+  async sealSession(session) {
+    if (!this.isEncrypted()) return session;
 
-      request.onsuccess = () => resolve(urlRecord);
-      request.onerror = () => reject(request.error);
-    });
+    const { windows, ...rest } = session;
+    return { ...rest, sealed: await this.vault.seal(windows) };
   }
 
-  // Get a single URL by its URL key
-  async getUrl(url) {
+  async openSession(stored) {
+    if (!stored || !stored.sealed) return stored;
+
+    const { sealed, ...rest } = stored;
+    return { ...rest, windows: await this.vault.open(sealed) };
+  }
+
+  // Get all collections in their manual order
+  async getCollections() {
     if (!this.db) await this.init();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.urlStoreName], 'readonly');
-      const store = transaction.objectStore(this.urlStoreName);
-      const request = store.get(url);
+      const transaction = this.db.transaction([this.collectionStoreName], 'readonly');
+      const request = transaction.objectStore(this.collectionStoreName).index('position').getAll();
 
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
   }
 
-  // Get all URLs sorted by last seen (most recent first)
-  async getAllUrls(options = {}) {
+  // Create a collection at the end of the list; names are unique regardless of case
+  async createCollection({ name, color, description = '' }) {
     if (!this.db) await this.init();
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.urlStoreName], 'readonly');
-      const store = transaction.objectStore(this.urlStoreName);
-      const request = store.getAll();
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!trimmedName) {
+      throw new Error('Collection name is required');
+    }
+
+    const collections = await this.getCollections();
+    this.checkCollectionName(collections, trimmedName);
+    if (color) this.checkCollectionColor(color);
+
+    const now = new Date().toISOString();
+    const collection = {
+      name: trimmedName,
+      color: color || this.collectionColors[collections.length % this.collectionColors.length],
+      description: description,
+      position: collections.length > 0 ? collections[collections.length - 1].position + 1 : 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const transaction = this.db.transaction([this.collectionStoreName], 'readwrite');
+    const request = transaction.objectStore(this.collectionStoreName).add(collection);
+    const [id] = await Promise.all([this.searchIndex.requestResult(request), this.transactionDone(transaction)]);
+    this.notifyChange({ type: 'collections' });
+
+    return { ...collection, id };
+  }
+
+  // Change name, color or description of a collection
+  async updateCollection(id, changes) {
+    if (!this.db) await this.init();
+
+    const collections = await this.getCollections();
+    const collection = collections.find(item => item.id === id);
+    if (!collection) {
+      throw new Error(`Collection ${id} not found`);
+    }
+
+    const updated = { ...collection, updatedAt: new Date().toISOString() };
+    if (changes.name !== undefined) {
+      updated.name = String(changes.name).trim();
+      if (!updated.name) throw new Error('Collection name is required');
+      this.checkCollectionName(collections.filter(item => item.id !== id), updated.name);
+    }
+    if (changes.color !== undefined) {
+      this.checkCollectionColor(changes.color);
+      updated.color = changes.color;
+    }
+    if (changes.description !== undefined) updated.description = changes.description;
+
+    const transaction = this.db.transaction([this.collectionStoreName], 'readwrite');
+    transaction.objectStore(this.collectionStoreName).put(updated);
+    await this.transactionDone(transaction);
+    this.notifyChange({ type: 'collections' });
+
+    return updated;
+  }
+
+  checkCollectionName(collections, name) {
+    if (collections.some(item => item.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`A collection named "${name}" already exists`);
+    }
+  }
+
+  // Colors end up in the viewer's markup, so only #rrggbb is accepted
+  checkCollectionColor(color) {
+    if (!this.isCollectionColor(color)) {
+      throw new Error(`Collection color must look like #3498db, got "${color}"`);
+    }
+  }
+
+  isCollectionColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+  }
 
+  // Store the manual order of collections; ids not listed keep their place after the listed ones
+  async reorderCollections(orderedIds) {
+    if (!this.db) await this.init();
+
+    const collections = await this.getCollections();
+    const ordered = [
+      ...orderedIds.map(id => collections.find(item => item.id === id)).filter(Boolean),
+      ...collections.filter(item => !orderedIds.includes(item.id))
+    ];
+
+    const transaction = this.db.transaction([this.collectionStoreName], 'readwrite');
+    const store = transaction.objectStore(this.collectionStoreName);
+    ordered.forEach((collection, position) => store.put({ ...collection, position }));
+    await this.transactionDone(transaction);
+    this.notifyChange({ type: 'collections' });
+
+    return ordered.map((collection, position) => ({ ...collection, position }));
+  }
+
+  // Delete a collection; its URLs stay in the library
+  async deleteCollection(id) {
+    if (!this.db) await this.init();
+
+    const transaction = this.db.transaction([this.collectionStoreName, this.urlStoreName], 'readwrite');
+    transaction.objectStore(this.collectionStoreName).delete(id);
+
+    const request = transaction.objectStore(this.urlStoreName).index('collections').openCursor(IDBKeyRange.only(id));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.update({
+        ...cursor.value,
+        collections: cursor.value.collections.filter(item => item !== id),
+        modifiedAt: new Date().toISOString()
+      });
+      cursor.continue();
+    };
+
+    await this.transactionDone(transaction);
+    this.notifyChange({ type: 'collections' });
+    return true;
+  }
+
+  // Add URLs (record keys) to a collection
+  async addToCollection(id, urls) {
+    return this.updateMembership(urls, collections => [...new Set([...collections, id])]);
+  }
+
+  // Remove URLs from a collection
+  async removeFromCollection(id, urls) {
+    return this.updateMembership(urls, collections => collections.filter(item => item !== id));
+  }
+
+  // Collection ids stay outside the sealed part of a record, so membership changes need no sealing
+  async updateMembership(urls, change) {
+    if (!this.db) await this.init();
+
+    const keys = await Promise.all(urls.map(url => this.storageKey(url)));
+    const transaction = this.db.transaction([this.urlStoreName], 'readwrite');
+    const store = transaction.objectStore(this.urlStoreName);
+    const updated = [];
+
+    const updateAll = async () => {
+      for (const key of keys) {
+        const record = await this.searchIndex.requestResult(store.get(key));
+        if (!record) continue;
+
+        const changed = { ...record, collections: change(record.collections || []), modifiedAt: new Date().toISOString() };
+        store.put(changed);
+        updated.push(changed);
+      }
+    };
+
+    await Promise.all([updateAll(), this.transactionDone(transaction)]);
+    const records = await this.openRecords(updated);
+    this.notifyChange({ type: 'updated', urls: records.map(record => record.url) });
+    return records;
+  }
+
+  // Number of URLs in each collection, by id
+  async countCollectionUrls() {
+    if (!this.db) await this.init();
+
+    const transaction = this.db.transaction([this.urlStoreName], 'readonly');
+    const index = transaction.objectStore(this.urlStoreName).index('collections');
+    const counts = {};
+
+    await new Promise((resolve, reject) => {
+      const request = index.openKeyCursor();
       request.onsuccess = () => {
-        let urls = request.result;
-        
-        // Apply sorting
-        const sortBy = options.sortBy || 'lastSeen';
-        const sortOrder = options.sortOrder || 'desc';
-        
-        urls.sort((a, b) => {
-          let aVal = a[sortBy];
-          let bVal = b[sortBy];
-          
-          if (sortBy === 'lastSeen' || sortBy === 'firstSeen') {
-            aVal = new Date(aVal);
-            bVal = new Date(bVal);
-          }
-          
-          if (sortOrder === 'desc') {
-            return bVal > aVal ? 1 : -1;
-          } else {
-            return aVal > bVal ? 1 : -1;
-          }
-        });
-        
-        // Apply pagination if requested
-        if (options.limit) {
-          const offset = options.offset || 0;
-          urls = urls.slice(offset, offset + options.limit);
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
         }
-        
-        resolve(urls);
+        counts[cursor.key] = (counts[cursor.key] || 0) + 1;
+        cursor.continue();
       };
       request.onerror = () => reject(request.error);
     });
-  }
 
-  // Search URLs by title, domain, or tags
-  async searchUrls(query, options = {}) {
-    const allUrls = await this.getAllUrls();
-    const queryLower = query.toLowerCase();
-    
-    return allUrls.filter(url => {
-      return url.title.toLowerCase().includes(queryLower) ||
-             url.domain.toLowerCase().includes(queryLower) ||
-             url.url.toLowerCase().includes(queryLower) ||
-             url.description.toLowerCase().includes(queryLower) ||
-             url.categories.some(cat => cat.toLowerCase().includes(queryLower)) ||
-             url.tags.some(tag => tag.toLowerCase().includes(queryLower));
-    });
+    return counts;
   }
 
-  // Get URLs by category
-  async getUrlsByCategory(category) {
+  // Save a snapshot of the windows and tabs captured by one save run. Pass the run's
+  // savedAt as options.timestamp so history entries can be matched to the session; with
+  // options.once a session already stored at that timestamp is returned instead of a second one
+  async saveSession(tabsData, options = {}) {
     if (!this.db) await this.init();
 
+    const windows = new Map();
+    tabsData.forEach(tab => {
+      if (!windows.has(tab.windowId)) {
+        windows.set(tab.windowId, { windowId: tab.windowId, tabs: [] });
+      }
+      windows.get(tab.windowId).tabs.push({
+        url: tab.url, // The URL as it was open, used when restoring
+        recordUrl: this.canonicalizer.resolve(tab), // Key of the record in the urls store
+        title: tab.title,
+        index: tab.index,
+        pinned: !!tab.pinned,
+        active: !!tab.active,
+        favIconUrl: tab.favIconUrl || ''
+      });
+    });
+
+    windows.forEach(sessionWindow => sessionWindow.tabs.sort((a, b) => a.index - b.index));
+
+    const sessionRecord = {
+      format: 'session',
+      scope: options.scope || 'window', // 'window' or 'all-windows'
+      timestamp: options.timestamp || new Date().toISOString(),
+      windowCount: windows.size,
+      tabCount: tabsData.length,
+      windows: Array.from(windows.values())
+    };
+
+    const stored = await this.sealSession(sessionRecord);
+
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.urlStoreName], 'readonly');
-      const store = transaction.objectStore(this.urlStoreName);
-      const index = store.index('categories');
-      const request = index.getAll(category);
+      const transaction = this.db.transaction([this.exportStoreName], 'readwrite');
+      const store = transaction.objectStore(this.exportStoreName);
+      let request = null;
+      let existing = null;
 
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
+      const add = () => {
+        request = store.add(stored);
+        request.onerror = () => reject(request.error);
+      };
+      if (options.once) {
+        const lookup = store.index('timestamp').getAll(sessionRecord.timestamp);
+        lookup.onsuccess = () => {
+          existing = lookup.result.find(session => session.format === 'session' && session.scope === sessionRecord.scope);
+          if (!existing) add();
+        };
+        lookup.onerror = () => reject(lookup.error);
+      } else {
+        add();
+      }
+
+      transaction.oncomplete = () => {
+        if (existing) {
+          this.openSession(existing).then(resolve, reject);
+          return;
+        }
+        this.notifyChange({ type: 'sessions' });
+        resolve({ ...sessionRecord, id: request.result });
+      };
     });
   }
 
-  // Get URLs by domain
-  async getUrlsByDomain(domain) {
+  // Get saved sessions, most recent first
+  async getSessions(options = {}) {
     if (!this.db) await this.init();
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.urlStoreName], 'readonly');
-      const store = transaction.objectStore(this.urlStoreName);
-      const index = store.index('domain');
-      const request = index.getAll(domain);
+    const stored = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.exportStoreName], 'readonly');
+      const store = transaction.objectStore(this.exportStoreName);
+      const request = store.index('timestamp').openCursor(null, 'prev');
+      const sessions = [];
 
-      request.onsuccess = () => resolve(request.result);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || (options.limit && sessions.length >= options.limit)) {
+          resolve(sessions);
+          return;
+        }
+        if (cursor.value.format === 'session') {
+          sessions.push(cursor.value);
+        }
+        cursor.continue();
+      };
       request.onerror = () => reject(request.error);
     });
+
+    return Promise.all(stored.map(session => this.openSession(session)));
   }
 
-  // Delete a URL
-  async deleteUrl(url) {
+  // Get a single session by id
+  async getSession(id) {
     if (!this.db) await this.init();
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.urlStoreName], 'readwrite');
-      const store = transaction.objectStore(this.urlStoreName);
-      const request = store.delete(url);
-
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(request.error);
-    });
+    const transaction = this.db.transaction([this.exportStoreName], 'readonly');
+    return this.openSession(await this.searchIndex.requestResult(transaction.objectStore(this.exportStoreName).get(id)));
   }
 
-  // Clear all URLs
-  async clearAllUrls() {
+  // Delete a session snapshot (the URL records it links to are kept)
+  async deleteSession(id) {
     if (!this.db) await this.init();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.urlStoreName], 'readwrite');
-      const store = transaction.objectStore(this.urlStoreName);
-      const request = store.clear();
+      const transaction = this.db.transaction([this.exportStoreName], 'readwrite');
+      const store = transaction.objectStore(this.exportStoreName);
+      const request = store.delete(id);
 
-      request.onsuccess = () => resolve(true);
+      transaction.oncomplete = () => {
+        this.notifyChange({ type: 'sessions' });
+        resolve(true);
+      };
       request.onerror = () => reject(request.error);
     });
   }
 
-  // Get database statistics
-  async getStats() {
-    const urls = await this.getAllUrls();
-    const domains = new Set(urls.map(url => url.domain));
-    const categories = new Set(urls.flatMap(url => url.categories));
-    
+  // Get the URLs linked from a session, in window and tab order
+  getSessionUrls(session) {
+    return session.windows.flatMap(sessionWindow => sessionWindow.tabs.map(tab =>
+      tab.recordUrl || this.canonicalizer.canonicalize(tab.url)
+    ));
+  }
+
+  // Get database statistics. The time-based figures cover options.since..options.until
+  // (anything Date accepts), by default the 12 weeks up to now
+  async getStats(options = {}) {
+    const until = options.until ? new Date(options.until) : new Date();
+    const since = options.since ? new Date(options.since) : new Date(until.getTime() - 12 * 7 * 24 * 60 * 60 * 1000);
+
+    const domainCounts = {};
+    const categoryCounts = {};
+    const weekCounts = {};
+    const revisited = [];
+    const readingCounts = Object.fromEntries(this.readingStatuses.map(status => [status, 0]));
+    const unreadCategoryCounts = {};
+    let totalUrls = 0;
+    let totalAccesses = 0;
+    let periodSaves = 0;
+
+    await this.forEachUrl(url => {
+      totalUrls++;
+      totalAccesses += url.accessCount || 0;
+      domainCounts[url.domain] = (domainCounts[url.domain] || 0) + 1;
+      (url.categories || []).forEach(category => {
+        categoryCounts[category] = (categoryCounts[category] || 0) + 1;
+      });
+
+      // The read-later queue, by the categories the user sees
+      const shown = this.displayRecord(url);
+      readingCounts[shown.readingStatus]++;
+      if (shown.readingStatus === 'unread') {
+        shown.categories.forEach(category => {
+          unreadCategoryCounts[category] = (unreadCategoryCounts[category] || 0) + 1;
+        });
+      }
+
+      const events = (url.history || []).filter(entry => {
+        const time = new Date(entry.timestamp);
+        return time >= since && time <= until;
+      });
+      events.forEach(entry => {
+        const week = this.weekStart(entry.timestamp);
+        weekCounts[week] = (weekCounts[week] || 0) + 1;
+      });
+      periodSaves += events.length;
+      if (events.length > 1) {
+        revisited.push({ url: url.url, title: url.title, count: events.length, lastSaved: events[events.length - 1].timestamp });
+      }
+    });
+
+    // Every week of the period, including the ones without saves
+    const savesPerWeek = [];
+    for (let week = new Date(this.weekStart(since) + 'T00:00:00'); week <= until; week.setDate(week.getDate() + 7)) {
+      const key = this.weekStart(week);
+      savesPerWeek.push({ weekStart: key, count: weekCounts[key] || 0 });
+    }
+
     return {
-      totalUrls: urls.length,
-      uniqueDomains: domains.size,
-      uniqueCategories: categories.size,
-      totalAccesses: urls.reduce((sum, url) => sum + url.accessCount, 0),
-      topDomains: this.getTopDomains(urls, 10),
-      topCategories: this.getTopCategories(urls, 10)
+      totalUrls: totalUrls,
+      uniqueDomains: Object.keys(domainCounts).length,
+      uniqueCategories: Object.keys(categoryCounts).length,
+      totalAccesses: totalAccesses,
+      topDomains: this.topCounts(domainCounts, 10).map(([domain, count]) => ({ domain, count })),
+      topCategories: this.topCounts(categoryCounts, 10).map(([category, count]) => ({ category, count })),
+      readingCounts: readingCounts,
+      unreadByCategory: this.topCounts(unreadCategoryCounts, Infinity).map(([category, count]) => ({ category, count })),
+      period: { since: since.toISOString(), until: until.toISOString() },
+      periodSaves: periodSaves,
+      savesPerWeek: savesPerWeek,
+      mostRevisited: revisited
+        .sort((a, b) => b.count - a.count || new Date(b.lastSaved) - new Date(a.lastSaved))
+        .slice(0, 10)
     };
   }
 
+  // Local date (YYYY-MM-DD) of the Monday starting the week of a date
+  weekStart(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    day.setDate(day.getDate() - (day.getDay() + 6) % 7);
+
+    const month = String(day.getMonth() + 1).padStart(2, '0');
+    const dayOfMonth = String(day.getDate()).padStart(2, '0');
+    return `${day.getFullYear()}-${month}-${dayOfMonth}`;
+  }
+
+  // Largest entries of a { key: count } object
+  topCounts(counts, limit) {
+    return Object.entries(counts)
+      .sort(([,a], [,b]) => b - a)
+      .slice(0, limit);
+  }
+
   // Utility method to extract domain from URL
   extractDomain(url) {
     try {
@@ -306,9 +2306,7 @@ class TabStorage {
       domainCounts[url.domain] = (domainCounts[url.domain] || 0) + 1;
     });
     
-    return Object.entries(domainCounts)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, limit)
+    return this.topCounts(domainCounts, limit)
       .map(([domain, count]) => ({ domain, count }));
   }
 
@@ -321,20 +2319,32 @@ class TabStorage {
       });
     });
     
-    return Object.entries(categoryCounts)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, limit)
+    return this.topCounts(categoryCounts, limit)
       .map(([category, count]) => ({ category, count }));
   }
 
   // Format URLs for export in different formats
-  formatUrlsForExport(urls, format = 'json') {
+  // options.collection names the file (and headings) after a collection, options.collections are all
+  // collections, to name the ones each record is in
+  formatUrlsForExport(records, format = 'json', options = {}) {
     const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+    const baseName = options.collection
+      ? `collection-${options.collection.name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '')}`
+      : 'saved-urls';
+    const heading = options.collection ? `${options.collection.name} Export` : 'Saved URLs Export';
+    // Collections are named (options.collections lists them) since ids only mean something here. JSON
+    // formats keep records as stored otherwise so they import back losslessly; the rest show the user's edits
+    const collectionNames = new Map((options.collections || []).map(collection => [collection.id, collection.name]));
+    const named = records.map(record => ({
+      ...record,
+      collections: (record.collections || []).map(id => collectionNames.get(id)).filter(name => name !== undefined)
+    }));
+    const urls = format === 'json' || format === 'jsonl' ? named : named.map(record => this.displayRecord(record));
     
     switch (format) {
       case 'markdown':
         const content = urls.map(url => {
-          let line = `- [${url.title}](${url.url})`;
+          let line = `- [${url.title}](${url.visitedUrl})`;
           if (url.categories.length > 0) {
             line += ` (${url.categories.join(', ')})`;
           }
@@ -344,47 +2354,174 @@ class TabStorage {
           return line;
         }).join('\n');
         return {
-          content: `# Saved URLs Export - ${new Date().toLocaleString()}\n\nTotal: ${urls.length} URLs\n\n${content}`,
-          filename: `saved-urls-${timestamp}.md`
+          content: `# ${heading} - ${new Date().toLocaleString()}\n\nTotal: ${urls.length} URLs\n\n${content}`,
+          filename: `${baseName}-${timestamp}.md`
         };
 
       case 'json':
         return {
           content: JSON.stringify({
             exportDate: new Date().toISOString(),
+            ...(options.collection && { collection: options.collection }),
             totalUrls: urls.length,
             urls: urls
           }, null, 2),
-          filename: `saved-urls-${timestamp}.json`
+          filename: `${baseName}-${timestamp}.json`
+        };
+
+      case 'jsonl':
+        // One record per line so large libraries can be streamed through jq and friends
+        return {
+          content: urls.map(url => JSON.stringify(url)).join('\n') + '\n',
+          filename: `${baseName}-${timestamp}.jsonl`
         };
 
       case 'csv':
-        const headers = 'URL,Title,Domain,Categories,Tags,Description,First Seen,Last Seen,Access Count';
+        const headers = 'URL,Title,Domain,Categories,Tags,Confidence,Description,Image,Favicon URL,Author,Published Date,Word Count,Language,First Seen,Last Seen,Access Count,Starred,Notes,Reading Status';
         const rows = urls.map(url => [
           url.url,
           url.title,
           url.domain,
           url.categories.join(';'),
           url.tags.join(';'),
+          url.confidence,
           url.description,
+          url.image,
+          url.favIconUrl,
+          url.author,
+          url.publishedDate,
+          url.wordCount,
+          url.language,
           url.firstSeen,
           url.lastSeen,
-          url.accessCount
-        ].map(field => `"${String(field).replace(/"/g, '""')}"`).join(','));
+          url.accessCount,
+          url.starred,
+          url.notes,
+          url.readingStatus
+        ].map(field => `"${String(field ?? '').replace(/"/g, '""')}"`).join(','));
         return {
           content: [headers, ...rows].join('\n'),
-          filename: `saved-urls-${timestamp}.csv`
+          filename: `${baseName}-${timestamp}.csv`
+        };
+
+      case 'html':
+        // Netscape bookmark file: categories become folders, tags go into the TAGS attribute
+        return {
+          content: this.formatNetscapeBookmarks(urls),
+          filename: `${baseName}-${timestamp}.html`
+        };
+
+      case 'opml':
+        return {
+          content: this.formatOpml(urls),
+          filename: `${baseName}-${timestamp}.opml`
         };
 
       default: // simple text
-        const simpleContent = urls.map(url => `${url.title} - ${url.url}`).join('\n');
+        const simpleContent = urls.map(url => `${url.title} - ${url.visitedUrl}`).join('\n');
         return {
-          content: `Saved URLs Export - ${new Date().toLocaleString()}\n\n${simpleContent}`,
-          filename: `saved-urls-${timestamp}.txt`
+          content: `${heading} - ${new Date().toLocaleString()}\n\n${simpleContent}`,
+          filename: `${baseName}-${timestamp}.txt`
         };
     }
   }
 
+  // Group URLs by their first category, used for folders/outlines in html and opml exports
+  groupByPrimaryCategory(urls) {
+    const groups = new Map();
+    urls.forEach(url => {
+      const category = url.categories[0] || 'general';
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(url);
+    });
+    return new Map([...groups.entries()].sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  formatNetscapeBookmarks(urls) {
+    const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000) || '';
+    const exportTime = toSeconds(new Date());
+
+    const folders = Array.from(this.groupByPrimaryCategory(urls).entries()).map(([category, categoryUrls]) => {
+      const links = categoryUrls.map(url => {
+        const attributes = [
+          `HREF="${this.escapeXml(url.visitedUrl)}"`,
+          `ADD_DATE="${toSeconds(url.firstSeen)}"`,
+          `LAST_VISIT="${toSeconds(url.lastSeen)}"`,
+          url.favIconUrl ? `ICON_URI="${this.escapeXml(url.favIconUrl)}"` : '',
+          url.tags.length > 0 ? `TAGS="${this.escapeXml(url.tags.join(','))}"` : ''
+        ].filter(Boolean).join(' ');
+
+        let line = `        <DT><A ${attributes}>${this.escapeXml(url.title)}</A>`;
+        if (url.description) {
+          line += `\n        <DD>${this.escapeXml(url.description)}`;
+        }
+        return line;
+      }).join('\n');
+
+      return `    <DT><H3 ADD_DATE="${exportTime}">${this.escapeXml(category)}</H3>\n    <DL><p>\n${links}\n    </DL><p>`;
+    }).join('\n');
+
+    return [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<!-- This is an automatically generated file. It will be read and overwritten. DO NOT EDIT! -->',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Bookmarks</TITLE>',
+      '<H1>Fomo Tabs Saver</H1>',
+      '<DL><p>',
+      folders,
+      '</DL><p>',
+      ''
+    ].join('\n');
+  }
+
+  // OPML outline per category; every stored field is kept as an outline attribute
+  formatOpml(urls) {
+    const outlines = Array.from(this.groupByPrimaryCategory(urls).entries()).map(([category, categoryUrls]) => {
+      const links = categoryUrls.map(url => {
+        const attributes = [
+          `text="${this.escapeXml(url.title)}"`,
+          'type="link"',
+          `created="${new Date(url.firstSeen).toUTCString()}"`,
+          `category="${this.escapeXml(url.categories.join(','))}"`,
+          ...Object.entries(url)
+            .filter(([key]) => key !== 'title' && key !== 'categories')
+            .map(([key, value]) => {
+              // Lists of words are joined; objects and lists of objects, like history, keep their structure as JSON
+              const joinable = Array.isArray(value) && value.every(item => item === null || typeof item !== 'object');
+              const text = joinable ? value.join(',') : (value && typeof value === 'object' ? JSON.stringify(value) : value);
+              return `${key}="${this.escapeXml(text ?? '')}"`;
+            })
+        ].join(' ');
+        return `      <outline ${attributes}/>`;
+      }).join('\n');
+
+      return `    <outline text="${this.escapeXml(category)}">\n${links}\n    </outline>`;
+    }).join('\n');
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head>',
+      '    <title>Fomo Tabs Saver</title>',
+      `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+      '  </head>',
+      '  <body>',
+      outlines,
+      '  </body>',
+      '</opml>',
+      ''
+    ].join('\n');
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   getWindowCount(tabs) {
     const windowIds = new Set(tabs.map(tab => tab.windowId));
     return windowIds.size;
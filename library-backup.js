@@ -0,0 +1,240 @@
+// library-backup.js - Full backups of the library: every store plus settings in one checked file
+
+// File layout (formatVersion 1):
+//   { format, formatVersion, createdAt, schemaVersion, encrypted, checksum, payload }
+// payload is { stores: { urls, trash, sessions, collections, tombstones }, settings, counts }, or the envelope of
+// LibraryVault.sealWithPassphrase holding it when the backup has a passphrase. checksum is the SHA-256
+// of JSON.stringify(payload) as it appears in the file. Records are kept opened, so a backup of an
+// encrypted library always gets a passphrase. The search index is derived data and is rebuilt on restore.
+class LibraryBackup {
+  constructor(storage) {
+    this.storage = storage;
+    this.format = 'fomo-tabs-backup';
+    this.formatVersion = 1;
+    // Backups were introduced with database version 9; no migration after it changes records,
+    // so restoring only needs the canonical keys migration 4 gave every record
+    this.minSchemaVersion = 9;
+    // chrome.storage.local entries that belong to the library
+    this.settingKeys = ['canonicalization', 'trashRetentionDays', 'retentionRules', 'filterRules'];
+  }
+
+  // Build the backup file; returns { content, filename, counts }
+  async createBackup(passphrase = '') {
+    if (this.storage.isEncrypted() && !passphrase) {
+      throw new Error('The library is encrypted, so its backup needs a passphrase too');
+    }
+
+    const library = await this.storage.readLibrary();
+    const counts = {
+      urls: library.records.length,
+      trash: library.trash.length,
+      sessions: library.sessions.length,
+      collections: library.collections.length,
+      tombstones: library.tombstones.length
+    };
+    const contents = {
+      stores: {
+        urls: library.records,
+        trash: library.trash,
+        sessions: library.sessions,
+        collections: library.collections,
+        tombstones: library.tombstones
+      },
+      settings: await this.readSettings(),
+      counts: counts
+    };
+
+    const payload = passphrase ? await this.storage.vault.sealWithPassphrase(contents, passphrase) : contents;
+    const backup = {
+      format: this.format,
+      formatVersion: this.formatVersion,
+      createdAt: new Date().toISOString(),
+      schemaVersion: this.storage.dbVersion,
+      encrypted: !!passphrase,
+      checksum: await this.checksum(payload),
+      payload: payload
+    };
+
+    const timestamp = backup.createdAt.slice(0, 19).replace(/[:.]/g, '-');
+    return {
+      content: JSON.stringify(backup),
+      filename: `fomo-tabs-backup-${timestamp}.json`,
+      counts: counts
+    };
+  }
+
+  // Parse, decrypt and check a backup file without changing anything; the result goes to restoreBackup
+  async readBackup(text, passphrase = '') {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Not a valid backup file: ${error.message}`);
+    }
+
+    if (backup?.format !== this.format) {
+      throw new Error('Not a Fomo Tabs backup file');
+    }
+    if (!Number.isInteger(backup.formatVersion) || backup.formatVersion > this.formatVersion) {
+      throw new Error(`Backup format ${backup.formatVersion} is newer than this extension understands, update the extension first`);
+    }
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion > this.storage.dbVersion) {
+      throw new Error(`The backup comes from database version ${backup.schemaVersion}, this extension has version ${this.storage.dbVersion}. Update the extension first`);
+    }
+    if (backup.schemaVersion < this.minSchemaVersion) {
+      throw new Error(`The backup comes from database version ${backup.schemaVersion}, backups before version ${this.minSchemaVersion} can't be restored`);
+    }
+    if (backup.checksum !== await this.checksum(backup.payload)) {
+      throw new Error('The backup file is damaged: its checksum does not match');
+    }
+
+    let contents = backup.payload;
+    if (backup.encrypted) {
+      if (!passphrase) {
+        throw new Error('This backup is encrypted, enter its passphrase');
+      }
+      contents = await this.storage.vault.openWithPassphrase(backup.payload, passphrase);
+    }
+
+    const problems = this.validateContents(contents);
+    if (problems.length > 0) {
+      const listed = problems.slice(0, 5).join('; ');
+      throw new Error(`The backup is invalid: ${listed}${problems.length > 5 ? ` and ${problems.length - 5} more problems` : ''}`);
+    }
+
+    return {
+      createdAt: backup.createdAt,
+      schemaVersion: backup.schemaVersion,
+      encrypted: !!backup.encrypted,
+      counts: contents.counts,
+      contents: contents
+    };
+  }
+
+  // Everything that would make a restore fail halfway or store unusable records
+  validateContents(contents) {
+    const problems = [];
+    const stores = contents?.stores;
+    if (!stores || typeof stores !== 'object') return ['missing stores'];
+
+    const isUrlRecord = (record) => !!record && typeof record.url === 'string' && record.url !== '';
+    const checkList = (name, check) => {
+      if (!Array.isArray(stores[name])) {
+        problems.push(`${name} is not a list`);
+        return;
+      }
+      stores[name].forEach((item, position) => {
+        const problem = check(item);
+        if (problem) problems.push(`${name}[${position}]: ${problem}`);
+      });
+      if (contents.counts?.[name] !== stores[name].length) {
+        problems.push(`${name} has ${stores[name].length} entries, the backup says ${contents.counts?.[name]}`);
+      }
+    };
+
+    checkList('urls', record => {
+      if (!isUrlRecord(record)) return 'missing url';
+      if (isNaN(new Date(record.firstSeen).getTime()) || isNaN(new Date(record.lastSeen).getTime())) return 'invalid dates';
+      return null;
+    });
+    checkList('trash', entry => isUrlRecord(entry?.record) ? null : 'missing record');
+    checkList('sessions', session => session?.format === 'session' && Array.isArray(session.windows) ? null : 'not a session');
+    checkList('collections', collection => {
+      if (!Number.isInteger(collection?.id) || typeof collection.name !== 'string') return 'not a collection';
+      return this.storage.isCollectionColor(collection.color) ? null : 'invalid color';
+    });
+    // Backups made before sync existed have no tombstones
+    if (stores.tombstones !== undefined) {
+      checkList('tombstones', tombstone => isUrlRecord(tombstone) && !isNaN(new Date(tombstone.deletedAt).getTime()) ? null : 'not a tombstone');
+    }
+
+    if (Array.isArray(stores.urls)) {
+      const urls = stores.urls.map(record => record?.url);
+      if (new Set(urls).size !== urls.length) problems.push('urls contains duplicates');
+    }
+    if (!contents.settings || typeof contents.settings !== 'object') {
+      problems.push('missing settings');
+    }
+
+    return problems;
+  }
+
+  // Put a backup from readBackup into the library. 'replace' swaps the whole library and its settings
+  // for the backup in one transaction; 'merge' adds the backup to what is here and keeps the settings
+  async restoreBackup(backup, mode = 'merge') {
+    const { stores, settings } = backup.contents;
+    const library = {
+      records: stores.urls,
+      trash: stores.trash,
+      sessions: stores.sessions,
+      collections: stores.collections,
+      tombstones: stores.tombstones || []
+    };
+
+    if (mode === 'replace') {
+      Object.assign(library, this.canonicalLibrary(library, settings));
+      await this.storage.writeLibrary(library);
+      await this.writeSettings(settings);
+      return {
+        mode: mode,
+        urls: library.records.length,
+        trash: library.trash.length,
+        sessions: library.sessions.length,
+        collections: library.collections.length,
+        tombstones: library.tombstones.length
+      };
+    }
+
+    if (mode !== 'merge') {
+      throw new Error(`Unknown restore mode "${mode}", use replace or merge`);
+    }
+
+    const report = await this.storage.mergeLibrary(library);
+    return { mode: mode, ...report };
+  }
+
+  // Key records, trash entries and tombstones by the canonical URL the restored settings give them,
+  // merging records that end up on the same URL like migration 4 does. A merge restore gets
+  // this from importUrlRecords
+  canonicalLibrary(library, settings) {
+    const canonicalizer = this.storage.canonicalizer;
+    const current = canonicalizer.options;
+    canonicalizer.options = { ...canonicalizer.defaultOptions, ...(settings.canonicalization || {}) };
+    try {
+      const records = new Map();
+      library.records.forEach(original => {
+        const record = this.storage.canonicalRecord(original);
+        const existing = records.get(record.url);
+        records.set(record.url, existing ? this.storage.mergeUrlRecords(existing, record) : record);
+      });
+
+      return {
+        records: Array.from(records.values()),
+        trash: library.trash.map(entry => ({ ...entry, record: this.storage.canonicalRecord(entry.record) })),
+        tombstones: library.tombstones.map(tombstone => ({ ...tombstone, url: canonicalizer.canonicalize(tombstone.url) }))
+      };
+    } finally {
+      canonicalizer.options = current;
+    }
+  }
+
+  async readSettings() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return {};
+    return chrome.storage.local.get(this.settingKeys);
+  }
+
+  // Settings missing from the backup go back to their defaults
+  async writeSettings(settings) {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+
+    const known = Object.fromEntries(Object.entries(settings).filter(([key]) => this.settingKeys.includes(key)));
+    await chrome.storage.local.remove(this.settingKeys.filter(key => !(key in known)));
+    await chrome.storage.local.set(known);
+    await this.storage.canonicalizer.loadOptions();
+  }
+
+  async checksum(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(value)));
+    return 'sha256-' + Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
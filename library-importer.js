@@ -0,0 +1,387 @@
+// library-importer.js - Read exported files back into the URL library
+
+class LibraryImporter {
+  constructor(storage, tagger = null) {
+    this.storage = storage;
+    this.tagger = tagger; // ContentTagger used for offline categorization of imported links
+    this.allowedProtocols = ['http:', 'https:', 'file:', 'ftp:'];
+  }
+
+  // Import the text of one file and merge it into the urls store
+  async importFile(text, filename = '') {
+    const parsed = this.parseFile(text, filename);
+
+    // JSON exports already hold full records; link lists go through saveUrl like regular saves
+    const report = parsed.records
+      ? await this.storage.importUrlRecords(await this.collectionIds(parsed.records))
+      : await this.importEntries(parsed.entries);
+
+    return {
+      format: parsed.format,
+      added: report.added,
+      merged: report.merged,
+      rejected: [...parsed.rejected, ...report.rejected]
+    };
+  }
+
+  // Exports name the collections of each record, ids being local to one browser; find or create each
+  // collection by name. Older exports listed ids, which are dropped
+  async collectionIds(records) {
+    const collections = await this.storage.getCollections();
+    const ids = new Map(collections.map(collection => [collection.name.toLowerCase(), collection.id]));
+    for (const name of new Set(records.flatMap(record => record.collections))) {
+      if (ids.has(name.toLowerCase())) continue;
+      const created = await this.storage.createCollection({ name });
+      ids.set(name.toLowerCase(), created.id);
+    }
+
+    return records.map(record => ({
+      ...record,
+      collections: record.collections.map(name => ids.get(name.toLowerCase()))
+    }));
+  }
+
+  // Detect the file format and turn it into URL records or link entries
+  parseFile(text, filename = '') {
+    const trimmed = text.trim();
+    const extension = filename.split('.').pop().toLowerCase();
+
+    if (extension === 'jsonl') {
+      return this.parseJsonLines(text);
+    }
+
+    if (extension === 'json' || trimmed.startsWith('{')) {
+      return this.parseJsonExport(text);
+    }
+
+    if (/<!DOCTYPE NETSCAPE-Bookmark-file-1>/i.test(trimmed) || /<DT>\s*<A\s/i.test(trimmed)) {
+      return this.parseNetscapeBookmarks(text);
+    }
+
+    if (trimmed.split(/\r?\n/).some(line => /^\S+:\/\/\S+ \| /.test(line.trim()))) {
+      return this.parseOneTab(text);
+    }
+
+    return this.parseUrlList(text);
+  }
+
+  // Save link entries one by one through TabStorage.saveUrl
+  async importEntries(entries) {
+    const report = {
+      added: 0,
+      merged: 0,
+      rejected: []
+    };
+
+    for (const entry of entries) {
+      try {
+        const existing = await this.storage.getUrl(entry.url);
+        await this.storage.saveUrl({
+          url: entry.url,
+          title: entry.title || existing?.title || entry.url,
+          firstSeen: entry.addedAt || undefined,
+          favIconUrl: entry.favIconUrl || '',
+          contentTags: existing
+            ? { tags: [...new Set([...(existing.tags || []), ...entry.tags])] }
+            : this.offlineContentTags(entry)
+        }, true, { action: 'import' });
+
+        if (existing) {
+          report.merged++;
+        } else {
+          report.added++;
+        }
+      } catch (error) {
+        report.rejected.push({ url: entry.url, reason: error.message });
+      }
+    }
+
+    return report;
+  }
+
+  // URL/title based categorization, no page access needed
+  offlineContentTags(entry) {
+    if (!this.tagger) {
+      return { tags: entry.tags };
+    }
+
+    const title = entry.title || '';
+    const categories = this.tagger.categorizeByUrl(entry.url, title);
+    return {
+      categories: categories,
+      confidence: 0.3, // Same confidence ContentTagger gives its URL-only fallback
+      tags: [...new Set([...entry.tags, ...this.tagger.generateTags(entry.url, title, categories)])]
+    };
+  }
+
+  // OneTab export: one "url | title" per line, tab groups separated by blank lines
+  parseOneTab(text) {
+    const entries = [];
+    const rejected = [];
+
+    text.split(/\r?\n/).forEach((line, position) => {
+      const trimmed = line.trim();
+      if (!trimmed) return;
+
+      const separator = trimmed.indexOf(' | ');
+      const url = separator === -1 ? trimmed : trimmed.slice(0, separator).trim();
+      const title = separator === -1 ? '' : trimmed.slice(separator + 3).trim();
+
+      this.collectEntry({ url, title, tags: ['onetab'] }, position, entries, rejected);
+    });
+
+    return { format: 'onetab', entries, rejected };
+  }
+
+  // Netscape bookmark file as exported by every browser; folders become tags
+  parseNetscapeBookmarks(text) {
+    const entries = [];
+    const rejected = [];
+    const folderStack = [];
+    let pendingFolder = null;
+    let position = 0;
+
+    const tokenPattern = /<H3\b[^>]*>([\s\S]*?)<\/H3>|<A\s([^>]*)>([\s\S]*?)<\/A>|<DL\b[^>]*>|<\/DL>/gi;
+    let match;
+
+    while ((match = tokenPattern.exec(text)) !== null) {
+      const token = match[0].slice(0, 3).toUpperCase();
+
+      if (token.startsWith('<H3')) {
+        pendingFolder = this.decodeHtml(match[1]).trim();
+      } else if (token === '<DL') {
+        folderStack.push(pendingFolder);
+        pendingFolder = null;
+      } else if (token === '</D') {
+        folderStack.pop();
+      } else {
+        const attributes = this.parseAttributes(match[2]);
+        const folderTags = folderStack.filter(Boolean).map(folder => this.folderTag(folder));
+        const attributeTags = (attributes.tags || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+
+        this.collectEntry({
+          url: this.decodeHtml(attributes.href || ''),
+          title: this.decodeHtml(match[3]).trim(),
+          addedAt: this.parseBookmarkDate(attributes.add_date),
+          favIconUrl: attributes.icon_uri || '',
+          tags: [...new Set([...folderTags, ...attributeTags])]
+        }, position++, entries, rejected);
+      }
+    }
+
+    return { format: 'netscape-html', entries, rejected };
+  }
+
+  // Plain list: one URL per line, '#' starts a comment line
+  parseUrlList(text) {
+    const entries = [];
+    const rejected = [];
+
+    text.split(/\r?\n/).forEach((line, position) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+      this.collectEntry({ url: trimmed, title: '', tags: [] }, position, entries, rejected);
+    });
+
+    return { format: 'url-list', entries, rejected };
+  }
+
+  collectEntry(entry, position, entries, rejected) {
+    const reason = this.validateEntry(entry);
+    if (reason) {
+      rejected.push({ position, url: entry.url || null, reason });
+      return;
+    }
+    entries.push({ ...entry, url: entry.url.trim() });
+  }
+
+  parseAttributes(attributeText) {
+    const attributes = {};
+    const attributePattern = /([\w-]+)\s*=\s*"([^"]*)"/g;
+    let match;
+    while ((match = attributePattern.exec(attributeText)) !== null) {
+      attributes[match[1].toLowerCase()] = match[2];
+    }
+    return attributes;
+  }
+
+  // ADD_DATE is seconds since the epoch; some browsers write milliseconds or microseconds
+  parseBookmarkDate(value) {
+    const number = Number(value);
+    if (!value || !Number.isFinite(number) || number <= 0) return null;
+
+    let milliseconds = number * 1000;
+    if (number > 1e14) {
+      milliseconds = number / 1000;
+    } else if (number > 1e11) {
+      milliseconds = number;
+    }
+    return this.validDate(milliseconds);
+  }
+
+  folderTag(folder) {
+    return folder.toLowerCase().replace(/\s+/g, '-');
+  }
+
+  decodeHtml(text) {
+    return text
+      .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+      .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  // Parse either a popup download (fomo-tabs-*.json) or a viewer export (saved-urls-*.json)
+  parseJsonExport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Not a valid JSON file: ${error.message}`);
+    }
+
+    const exportDate = this.validDate(data?.exportDate) || new Date().toISOString();
+
+    if (Array.isArray(data?.tabs)) {
+      return this.collectRecords('fomo-tabs', data.tabs, entry => this.recordFromTab(entry, exportDate));
+    }
+
+    if (Array.isArray(data?.urls)) {
+      return this.collectRecords('saved-urls', data.urls, entry => this.recordFromSavedUrl(entry, exportDate));
+    }
+
+    if (data?.format === 'fomo-tabs-backup') {
+      throw new Error('This is a full backup, restore it from the Backup panel instead');
+    }
+
+    throw new Error('Unrecognized JSON export: expected a "tabs" or "urls" array');
+  }
+
+  // JSON Lines export: one URL record per line
+  parseJsonLines(text) {
+    const entries = [];
+    const rejected = [];
+
+    text.split(/\r?\n/).forEach((line, position) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        rejected.push({ position, url: null, reason: 'invalid JSON line' });
+      }
+    });
+
+    const exportDate = new Date().toISOString();
+    const parsed = this.collectRecords('jsonl', entries, entry => this.recordFromSavedUrl(entry, exportDate));
+    return { ...parsed, rejected: [...rejected, ...parsed.rejected] };
+  }
+
+  collectRecords(format, entries, toRecord) {
+    const records = [];
+    const rejected = [];
+
+    entries.forEach((entry, position) => {
+      const reason = this.validateEntry(entry);
+      if (reason) {
+        rejected.push({ position, url: entry?.url || null, reason });
+        return;
+      }
+      records.push(toRecord(entry));
+    });
+
+    return { format, records, rejected };
+  }
+
+  // Returns the rejection reason, or null when the entry is usable
+  validateEntry(entry) {
+    if (!entry || typeof entry !== 'object') return 'not an object';
+    if (typeof entry.url !== 'string' || entry.url.trim() === '') return 'missing url';
+
+    let urlObj;
+    try {
+      urlObj = new URL(entry.url.trim());
+    } catch (error) {
+      return 'invalid url';
+    }
+
+    if (!this.allowedProtocols.includes(urlObj.protocol)) {
+      return `unsupported protocol ${urlObj.protocol}`;
+    }
+    return null;
+  }
+
+  // Tab entries from the popup download: title/url plus optional contentTags
+  recordFromTab(entry, exportDate) {
+    const tags = entry.contentTags || {};
+    return this.buildRecord({
+      url: entry.url,
+      title: entry.title,
+      firstSeen: exportDate,
+      lastSeen: exportDate,
+      accessCount: 1,
+      categories: tags.categories,
+      confidence: tags.confidence,
+      tags: tags.tags,
+      description: tags.description,
+      image: tags.image,
+      author: tags.author,
+      publishedDate: tags.publishedDate,
+      wordCount: tags.wordCount,
+      language: tags.language,
+      favIconUrl: entry.favIconUrl
+    });
+  }
+
+  // URL records from the viewer export already carry the stored fields
+  recordFromSavedUrl(entry, exportDate) {
+    return this.buildRecord({
+      ...entry,
+      firstSeen: this.validDate(entry.firstSeen) || exportDate,
+      lastSeen: this.validDate(entry.lastSeen) || this.validDate(entry.firstSeen) || exportDate
+    });
+  }
+
+  // Normalize field types so imported records look like ones written by saveUrl
+  buildRecord(fields) {
+    const url = fields.url.trim();
+    const accessCount = Number.parseInt(fields.accessCount, 10);
+
+    return {
+      ...fields,
+      url: url,
+      title: typeof fields.title === 'string' && fields.title ? fields.title : url,
+      domain: this.storage.extractDomain(url),
+      firstSeen: fields.firstSeen,
+      lastSeen: fields.lastSeen,
+      accessCount: accessCount > 0 ? accessCount : 1,
+      categories: this.stringList(fields.categories),
+      confidence: typeof fields.confidence === 'number' ? fields.confidence : 0,
+      tags: this.stringList(fields.tags),
+      description: fields.description || '',
+      image: fields.image || '',
+      author: fields.author || '',
+      publishedDate: fields.publishedDate || '',
+      wordCount: Number(fields.wordCount) || 0,
+      language: fields.language || '',
+      favIconUrl: fields.favIconUrl || '',
+      collections: this.stringList(fields.collections).map(name => name.trim()).filter(name => name),
+      history: Array.isArray(fields.history) ? fields.history.filter(entry => this.validDate(entry?.timestamp)) : []
+    };
+  }
+
+  stringList(value) {
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item) : [];
+  }
+
+  validDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+}
+
+// Create global instance
+const libraryImporter = new LibraryImporter(tabStorage, typeof contentTagger !== 'undefined' ? contentTagger : null);
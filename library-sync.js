@@ -0,0 +1,443 @@
+// library-sync.js - Two-way sync of the library through one file in a WebDAV or plain HTTP folder
+
+// Each sync downloads the shared file, merges it with the local records and uploads the result:
+//   { format, formatVersion, updatedAt, encrypted, payload }
+// payload is { records: { [url]: record }, tombstones: { [url]: deletedAt } }, or the envelope of
+// LibraryVault.sealWithPassphrase holding it when sync has a passphrase. Records carry modifiedAt, set
+// on every change (see TabStorage.updateRecords), and name their collections since ids are local.
+// A record changed on one side since the last sync is taken as it is; changed on both sides the two
+// are merged in a fixed order, so every machine gets the same result. Visits are counted per machine in
+// record.deviceCounts and accessCount is their sum, so merging again never counts a visit twice.
+// Uploads send If-Match with the ETag of the download; servers without ETags let the last writer win.
+class LibrarySync {
+  constructor(storage) {
+    this.storage = storage;
+    this.format = 'fomo-tabs-sync';
+    this.formatVersion = 1;
+    this.fileName = 'fomo-tabs-sync.json';
+    this.settingsKey = 'syncSettings'; // chrome.storage.local, without the secrets
+    this.secretsKey = 'syncSecrets';   // chrome.storage.session: password and passphrase
+    this.secretFields = ['password', 'passphrase'];
+    this.statusKey = 'syncStatus';     // chrome.storage.local: deviceId, lastSyncAt, lastResult, lastError
+    this.defaultSettings = {
+      url: '',           // Folder that holds the sync file, e.g. https://dav.example.com/fomo-tabs/
+      username: '',      // Basic auth, empty for none
+      password: '',
+      passphrase: '',    // Encrypts the shared file; an encrypted library only syncs with one
+      syncOnOpen: false  // Sync each time the viewer opens
+    };
+    this.attempts = 3; // Retries when another machine uploads during a sync
+    this.tombstoneDays = 180; // Deletes older than this are forgotten on both sides
+    this.running = null;
+  }
+
+  // The password and passphrase are kept in chrome.storage.session like the vault keys, never on
+  // disk, so they have to be entered again after the browser restarts
+  async getSettings() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return { ...this.defaultSettings };
+
+    const stored = (await chrome.storage.local.get(this.settingsKey))[this.settingsKey] || {};
+    let secrets = await this.getSecrets();
+    // Settings saved while the secrets were still kept in local storage
+    if (this.secretFields.some(field => field in stored)) {
+      const oldSecrets = Object.fromEntries(this.secretFields.filter(field => stored[field]).map(field => [field, stored[field]]));
+      secrets = { ...oldSecrets, ...secrets };
+      await this.setSecrets(secrets);
+      await chrome.storage.local.set({ [this.settingsKey]: this.withoutSecrets(stored) });
+    }
+    return { ...this.defaultSettings, ...this.withoutSecrets(stored), ...secrets };
+  }
+
+  async saveSettings(changes) {
+    const current = await this.getSettings();
+    const settings = { ...current, ...changes, url: String(changes.url ?? current.url).trim() };
+
+    if (settings.url && !/^https?:\/\/[^/]/i.test(settings.url)) {
+      throw new Error('The sync folder must be an http:// or https:// URL');
+    }
+    if (settings.passphrase && settings.passphrase.length < this.storage.vault.minPassphraseLength) {
+      throw new Error(`The sync passphrase must have at least ${this.storage.vault.minPassphraseLength} characters`);
+    }
+
+    await chrome.storage.local.set({ [this.settingsKey]: this.withoutSecrets(settings) });
+    await this.setSecrets(settings);
+    // Another folder starts over: the first sync with it treats every record as changed
+    if (settings.url !== current.url) {
+      await this.setStatus({ lastSyncAt: null, lastResult: null, lastError: null });
+    }
+    return settings;
+  }
+
+  async getSecrets() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.session) return {};
+
+    return (await chrome.storage.session.get(this.secretsKey))[this.secretsKey] || {};
+  }
+
+  async setSecrets(settings) {
+    if (typeof chrome === 'undefined' || !chrome.storage?.session) return;
+
+    const secrets = Object.fromEntries(this.secretFields.map(field => [field, settings[field] || '']));
+    await chrome.storage.session.set({ [this.secretsKey]: secrets });
+  }
+
+  async forgetSecrets() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.session) return;
+    await chrome.storage.session.remove(this.secretsKey);
+  }
+
+  withoutSecrets(settings) {
+    const rest = { ...settings };
+    this.secretFields.forEach(field => delete rest[field]);
+    return rest;
+  }
+
+  async getStatus() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return {};
+
+    const stored = await chrome.storage.local.get(this.statusKey);
+    return stored[this.statusKey] || {};
+  }
+
+  async setStatus(changes) {
+    const status = { ...await this.getStatus(), ...changes };
+    await chrome.storage.local.set({ [this.statusKey]: status });
+    return status;
+  }
+
+  // Pull and push everything that changed; resolves with { pulled, pushed, deleted, conflicts }.
+  // The outcome, error or not, is kept in the sync status
+  async sync() {
+    // A second click while syncing waits for the running sync instead of racing it
+    if (this.running) return this.running;
+
+    this.running = (async () => {
+      try {
+        const settings = await this.getSettings();
+        const status = await this.getStatus();
+        const { syncedAt, counts } = await this.run(settings, status);
+        await this.setStatus({ lastSyncAt: syncedAt, lastResult: counts, lastError: null });
+        return counts;
+      } catch (error) {
+        await this.setStatus({ lastError: { message: error.message, at: new Date().toISOString() } });
+        throw error;
+      } finally {
+        this.running = null;
+      }
+    })();
+    return this.running;
+  }
+
+  async run(settings, status) {
+    if (!settings.url) {
+      throw new Error('Set the sync folder URL first');
+    }
+    if (settings.username && !settings.password) {
+      throw new Error('Enter the sync password, it is only kept until the browser closes');
+    }
+    if (this.storage.isEncrypted() && !settings.passphrase) {
+      throw new Error('The library is encrypted, so sync needs a passphrase for the shared file too. Enter it in the sync settings, it is only kept until the browser closes');
+    }
+
+    const deviceId = status.deviceId || (await this.setStatus({ deviceId: crypto.randomUUID() })).deviceId;
+
+    for (let attempt = 1; attempt <= this.attempts; attempt++) {
+      // Changes made while this sync runs are newer than syncedAt and go out with the next one
+      const syncedAt = new Date().toISOString();
+      const remote = await this.download(settings);
+      const local = await this.readLocal(deviceId);
+      const plan = this.reconcile(local, remote.state, { lastSyncAt: status.lastSyncAt || null, now: syncedAt });
+
+      // A passphrase set or removed since the last upload rewrites the file even without changes
+      const rewrite = plan.remoteChanged || remote.encrypted !== !!settings.passphrase;
+      if (rewrite && !await this.upload(settings, plan.remote, remote)) continue;
+      await this.applyLocal(plan, local.collections);
+      return { syncedAt, counts: plan.counts };
+    }
+
+    throw new Error('The sync file kept changing on the server, please try again');
+  }
+
+  // Local records in the shared form, keyed by URL, with tombstones and collections
+  async readLocal(deviceId) {
+    const collections = await this.storage.getCollections();
+    const names = new Map(collections.map(collection => [collection.id, collection.name]));
+    const records = new Map();
+
+    await this.storage.forEachUrl(record => {
+      records.set(record.url, this.withDeviceCount({
+        ...record,
+        collections: (record.collections || []).map(id => names.get(id)).filter(name => name !== undefined)
+      }, deviceId));
+    });
+
+    const tombstones = new Map((await this.storage.getTombstones()).map(tombstone => [tombstone.url, tombstone.deletedAt]));
+    return { records, tombstones, collections };
+  }
+
+  // Decide every URL; returns { remote, remoteChanged, pulled, deleted, counts, tombstoneCutoff }
+  // where pulled are records to put here and deleted { url, deletedAt } records to delete here
+  reconcile(local, remoteState, options) {
+    const records = { ...remoteState.records };
+    const tombstones = { ...remoteState.tombstones };
+    const pulled = [];
+    const deleted = [];
+    const counts = { pulled: 0, pushed: 0, deleted: 0, conflicts: 0 };
+    const changedSince = (record) => !options.lastSyncAt || this.modifiedAt(record) > options.lastSyncAt;
+
+    const urls = new Set([...local.records.keys(), ...Object.keys(records), ...local.tombstones.keys(), ...Object.keys(tombstones)]);
+    for (const url of urls) {
+      const mine = local.records.get(url);
+      const theirs = records[url];
+
+      if (mine && theirs) {
+        const merged = this.resolve(mine, theirs, changedSince, counts);
+        if (!this.same(merged, mine)) {
+          pulled.push(merged);
+          counts.pulled++;
+        }
+        if (!this.same(merged, theirs)) {
+          records[url] = merged;
+          counts.pushed++;
+        }
+        delete tombstones[url];
+      } else if (mine) {
+        // A delete elsewhere wins over a record that has not changed since
+        const deletedAt = tombstones[url];
+        if (deletedAt && deletedAt >= this.modifiedAt(mine)) {
+          deleted.push({ url, deletedAt });
+          counts.deleted++;
+        } else {
+          records[url] = mine;
+          delete tombstones[url];
+          counts.pushed++;
+        }
+      } else if (theirs) {
+        const deletedAt = local.tombstones.get(url);
+        if (deletedAt && deletedAt >= this.modifiedAt(theirs)) {
+          delete records[url];
+          tombstones[url] = deletedAt;
+          counts.pushed++;
+        } else {
+          pulled.push(theirs);
+          counts.pulled++;
+        }
+      } else {
+        const deletedAt = [local.tombstones.get(url), tombstones[url]].filter(Boolean).sort().pop();
+        tombstones[url] = deletedAt;
+      }
+    }
+
+    const tombstoneCutoff = new Date(new Date(options.now).getTime() - this.tombstoneDays * 24 * 60 * 60 * 1000).toISOString();
+    Object.keys(tombstones).forEach(url => {
+      if (tombstones[url] < tombstoneCutoff) delete tombstones[url];
+    });
+
+    const remote = { records, tombstones };
+    return {
+      remote: remote,
+      remoteChanged: !this.same(remote, remoteState),
+      pulled: pulled,
+      deleted: deleted,
+      counts: counts,
+      tombstoneCutoff: tombstoneCutoff
+    };
+  }
+
+  // One URL known on both sides
+  resolve(mine, theirs, changedSince, counts) {
+    const mineChanged = changedSince(mine);
+    const theirsChanged = changedSince(theirs);
+    let merged;
+
+    // Visit counts are combined below, they alone don't make a conflict
+    const content = ({ deviceCounts, accessCount, ...rest }) => rest;
+    if (this.same(content(mine), content(theirs))) {
+      merged = mine;
+    } else if (mineChanged && theirsChanged) {
+      merged = this.mergeRecords(mine, theirs);
+      counts.conflicts++;
+    } else if (mineChanged !== theirsChanged) {
+      merged = mineChanged ? mine : theirs;
+    } else {
+      merged = this.modifiedAt(theirs) > this.modifiedAt(mine) ? theirs : mine;
+    }
+
+    const deviceCounts = this.mergeDeviceCounts(mine.deviceCounts, theirs.deviceCounts);
+    return {
+      ...merged,
+      deviceCounts: deviceCounts,
+      accessCount: Object.values(deviceCounts).reduce((sum, count) => sum + count, 0)
+    };
+  }
+
+  // Both sides changed: union of tags, categories, aliases, history and collections, the latest
+  // lastSeen and user edit. The pair is ordered first so the result does not depend on which side is local
+  mergeRecords(first, second) {
+    const [existing, incoming] = [first, second].sort((a, b) =>
+      this.modifiedAt(a).localeCompare(this.modifiedAt(b)) || this.stableStringify(a).localeCompare(this.stableStringify(b)));
+
+    return {
+      ...this.storage.mergeUrlRecords(existing, incoming),
+      modifiedAt: this.modifiedAt(incoming)
+    };
+  }
+
+  // Visits made here are whatever accessCount has beyond the visits synced from other machines
+  withDeviceCount(record, deviceId) {
+    const deviceCounts = { ...(record.deviceCounts || {}) };
+    const elsewhere = Object.entries(deviceCounts)
+      .filter(([id]) => id !== deviceId)
+      .reduce((sum, [, count]) => sum + count, 0);
+    const here = Math.max(deviceCounts[deviceId] || 0, (record.accessCount || 0) - elsewhere);
+    // A record only visited elsewhere gets no entry, which would change it at every sync
+    if (here > 0) deviceCounts[deviceId] = here;
+    return { ...record, deviceCounts };
+  }
+
+  mergeDeviceCounts(first = {}, second = {}) {
+    const merged = {};
+    [...new Set([...Object.keys(first), ...Object.keys(second)])].sort().forEach(id => {
+      merged[id] = Math.max(first[id] || 0, second[id] || 0);
+    });
+    return merged;
+  }
+
+  async applyLocal(plan, collections) {
+    const ids = new Map(collections.map(collection => [collection.name.toLowerCase(), collection.id]));
+    for (const name of new Set(plan.pulled.flatMap(record => record.collections || []))) {
+      if (ids.has(name.toLowerCase())) continue;
+      const created = await this.storage.createCollection({ name });
+      ids.set(name.toLowerCase(), created.id);
+    }
+
+    if (plan.pulled.length > 0) {
+      await this.storage.putSyncedRecords(plan.pulled.map(record => ({
+        ...record,
+        collections: (record.collections || []).map(name => ids.get(name.toLowerCase()))
+      })));
+    }
+
+    // Deletes keep the time they were made at, so their tombstones match the shared file
+    const byTime = new Map();
+    plan.deleted.forEach(({ url, deletedAt }) => byTime.set(deletedAt, [...(byTime.get(deletedAt) || []), url]));
+    for (const [deletedAt, urls] of byTime) {
+      await this.storage.deleteUrls(urls, { deletedAt });
+    }
+
+    await this.storage.purgeTombstones(plan.tombstoneCutoff);
+  }
+
+  // Shared state, its ETag and whether the file is encrypted; a missing file is an empty library
+  async download(settings) {
+    const response = await this.request(settings, 'GET');
+    if (response.status === 404) {
+      return { state: { records: {}, tombstones: {} }, etag: null, exists: false, encrypted: false };
+    }
+    if (!response.ok) throw this.responseError(response, 'read');
+
+    let file;
+    try {
+      file = JSON.parse(await response.text());
+    } catch (error) {
+      throw new Error(`The sync file on the server is not valid JSON: ${error.message}`);
+    }
+    if (file?.format !== this.format) {
+      throw new Error(`${this.fileName} in the sync folder is not a Fomo Tabs sync file`);
+    }
+    if (!Number.isInteger(file.formatVersion) || file.formatVersion > this.formatVersion) {
+      throw new Error(`The sync file has format ${file.formatVersion}, which is newer than this extension understands. Update the extension first`);
+    }
+
+    let state = file.payload;
+    if (file.encrypted) {
+      if (!settings.passphrase) {
+        throw new Error('The sync file is encrypted, enter its passphrase in the sync settings');
+      }
+      state = await this.storage.vault.openWithPassphrase(file.payload, settings.passphrase);
+    }
+    if (!state || typeof state.records !== 'object' || typeof state.tombstones !== 'object') {
+      throw new Error('The sync file is damaged: it has no records or tombstones');
+    }
+
+    return { state, etag: response.headers.get('ETag'), exists: true, encrypted: !!file.encrypted };
+  }
+
+  // Resolves false when someone else uploaded since download, so the sync has to start over
+  async upload(settings, state, download) {
+    const payload = settings.passphrase ? await this.storage.vault.sealWithPassphrase(state, settings.passphrase) : state;
+    const body = JSON.stringify({
+      format: this.format,
+      formatVersion: this.formatVersion,
+      updatedAt: new Date().toISOString(),
+      encrypted: !!settings.passphrase,
+      payload: payload
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (download.etag) {
+      headers['If-Match'] = download.etag;
+    } else if (!download.exists) {
+      headers['If-None-Match'] = '*';
+    }
+
+    let response = await this.request(settings, 'PUT', body, headers);
+    // WebDAV answers 409 Conflict when the folder does not exist yet
+    if (!download.exists && (response.status === 409 || response.status === 404)) {
+      await this.request(settings, 'MKCOL', undefined, {}, this.folderUrl(settings));
+      response = await this.request(settings, 'PUT', body, headers);
+    }
+
+    if (response.status === 412) return false;
+    if (!response.ok) throw this.responseError(response, 'write');
+    return true;
+  }
+
+  async request(settings, method, body, headers = {}, url = this.fileUrl(settings)) {
+    if (settings.username) {
+      const credentials = this.storage.vault.toBase64(new TextEncoder().encode(`${settings.username}:${settings.password}`));
+      headers = { ...headers, Authorization: `Basic ${credentials}` };
+    }
+
+    try {
+      return await fetch(url, { method, headers, body, cache: 'no-store', credentials: 'omit' });
+    } catch (error) {
+      throw new Error(`Could not reach the sync server: ${error.message}`);
+    }
+  }
+
+  responseError(response, action) {
+    const hint = response.status === 401 || response.status === 403 ? ', check the user name and password' : '';
+    return new Error(`The sync server refused to ${action} the sync file (${response.status} ${response.statusText})${hint}`);
+  }
+
+  folderUrl(settings) {
+    return settings.url.endsWith('/') ? settings.url : `${settings.url}/`;
+  }
+
+  fileUrl(settings) {
+    return this.folderUrl(settings) + this.fileName;
+  }
+
+  modifiedAt(record) {
+    return record.modifiedAt || record.lastSeen || '';
+  }
+
+  same(first, second) {
+    return this.stableStringify(first) === this.stableStringify(second);
+  }
+
+  // JSON with sorted keys, so equal records compare equal whatever order their fields were set in
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => item === undefined ? 'null' : this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+}
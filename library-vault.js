@@ -0,0 +1,212 @@
+// library-vault.js - Passphrase-derived keys that seal the saved URL library (PBKDF2 + AES-GCM)
+
+// The passphrase never leaves memory. PBKDF2 turns it into 512 bits: the first half is the AES-GCM key
+// that seals records, the second half an HMAC key for blind hashes, which stand in for URLs and search
+// terms in keys and indexes. The derived bits are kept in chrome.storage.session, so unlocking once
+// covers every extension page until the browser closes or the library is locked.
+class LibraryVault {
+  constructor() {
+    this.sessionKey = 'libraryKeys';
+    this.iterations = 310000;
+    this.minPassphraseLength = 8;
+    this.checkValue = 'fomo-tabs-library'; // Sealed into the settings so unlock can tell a wrong passphrase
+    this.maxBlindCache = 10000;
+    this.encryptionKey = null;
+    this.blindKey = null;
+    this.blindCache = new Map();
+    this.encoder = new TextEncoder();
+    this.decoder = new TextDecoder();
+
+    // Locking in one page locks all of them
+    if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'session' && changes[this.sessionKey] && !changes[this.sessionKey].newValue) {
+          this.forgetKeys();
+        }
+      });
+    }
+  }
+
+  isUnlocked() {
+    return !!this.encryptionKey;
+  }
+
+  // Settings for a new passphrase ({ key, salt, iterations, check }); leaves the vault unlocked with it
+  async createSettings(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < this.minPassphraseLength) {
+      throw new Error(`The passphrase must have at least ${this.minPassphraseLength} characters`);
+    }
+
+    const settings = {
+      key: 'encryption',
+      salt: this.toBase64(crypto.getRandomValues(new Uint8Array(16))),
+      iterations: this.iterations,
+      createdAt: new Date().toISOString()
+    };
+
+    const bits = await this.deriveBits(passphrase, settings);
+    await this.useKeyBits(bits);
+    settings.check = await this.seal(this.checkValue);
+    await this.rememberKeys(settings, bits);
+
+    return settings;
+  }
+
+  // Derive the keys for a passphrase and keep them for this browser session
+  async unlock(passphrase, settings) {
+    const bits = await this.deriveBits(passphrase || '', settings);
+    await this.useKeyBits(bits);
+
+    let value = null;
+    try {
+      value = await this.open(settings.check);
+    } catch (error) {
+      // AES-GCM refuses to open data sealed with another key
+    }
+    if (value !== this.checkValue) {
+      this.forgetKeys();
+      throw new Error('Wrong passphrase');
+    }
+
+    await this.rememberKeys(settings, bits);
+  }
+
+  // Take over keys another extension page unlocked earlier in this browser session
+  async restoreSession(settings) {
+    if (typeof chrome === 'undefined' || !chrome.storage?.session) return false;
+
+    const stored = (await chrome.storage.session.get(this.sessionKey))[this.sessionKey];
+    if (!stored || stored.salt !== settings.salt) return false;
+
+    await this.useKeyBits(this.fromBase64(stored.bits));
+    return true;
+  }
+
+  async lock() {
+    this.forgetKeys();
+    if (typeof chrome !== 'undefined' && chrome.storage?.session) {
+      await chrome.storage.session.remove(this.sessionKey);
+    }
+  }
+
+  forgetKeys() {
+    this.encryptionKey = null;
+    this.blindKey = null;
+    this.blindCache.clear();
+  }
+
+  async rememberKeys(settings, bits) {
+    if (typeof chrome === 'undefined' || !chrome.storage?.session) return;
+    await chrome.storage.session.set({ [this.sessionKey]: { salt: settings.salt, bits: this.toBase64(bits) } });
+  }
+
+  async deriveBits(passphrase, settings) {
+    const material = await crypto.subtle.importKey('raw', this.encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: this.fromBase64(settings.salt), iterations: settings.iterations },
+      material,
+      512
+    );
+    return new Uint8Array(bits);
+  }
+
+  async useKeyBits(bits) {
+    this.encryptionKey = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    this.blindKey = await crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    this.blindCache.clear();
+  }
+
+  // Encrypt any JSON value into { iv, data }, both base64
+  async seal(value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      this.requireKey(this.encryptionKey),
+      this.encoder.encode(JSON.stringify(value))
+    );
+    return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+  }
+
+  async open(sealed) {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: this.fromBase64(sealed.iv) },
+      this.requireKey(this.encryptionKey),
+      this.fromBase64(sealed.data)
+    );
+    return JSON.parse(this.decoder.decode(data));
+  }
+
+  // Encrypt a JSON value with a passphrase of its own, independent of the library keys (e.g. a backup).
+  // The envelope carries everything openWithPassphrase needs besides the passphrase
+  async sealWithPassphrase(value, passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < this.minPassphraseLength) {
+      throw new Error(`The passphrase must have at least ${this.minPassphraseLength} characters`);
+    }
+
+    const settings = {
+      kdf: 'PBKDF2-SHA256',
+      salt: this.toBase64(crypto.getRandomValues(new Uint8Array(16))),
+      iterations: this.iterations,
+      cipher: 'AES-GCM'
+    };
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      await this.passphraseKey(passphrase, settings),
+      this.encoder.encode(JSON.stringify(value))
+    );
+    return { ...settings, iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+  }
+
+  async openWithPassphrase(envelope, passphrase) {
+    let data;
+    try {
+      data = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.fromBase64(envelope.iv) },
+        await this.passphraseKey(passphrase || '', envelope),
+        this.fromBase64(envelope.data)
+      );
+    } catch (error) {
+      throw new Error('Wrong passphrase, or the encrypted data is damaged');
+    }
+    return JSON.parse(this.decoder.decode(data));
+  }
+
+  async passphraseKey(passphrase, settings) {
+    const bits = await this.deriveBits(passphrase, settings);
+    return crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['decrypt', 'encrypt']);
+  }
+
+  // Keyed hash of a string: equal values give equal hashes, which is all keys and indexes need
+  async blind(value) {
+    if (this.blindCache.has(value)) return this.blindCache.get(value);
+
+    const signature = await crypto.subtle.sign('HMAC', this.requireKey(this.blindKey), this.encoder.encode(value));
+    const hash = this.toBase64(new Uint8Array(signature)).replace(/=+$/, '');
+
+    if (this.blindCache.size >= this.maxBlindCache) this.blindCache.clear();
+    this.blindCache.set(value, hash);
+    return hash;
+  }
+
+  requireKey(key) {
+    if (!key) {
+      const error = new Error('The library is locked. Unlock it with your passphrase in the viewer.');
+      error.name = 'LibraryLockedError';
+      throw error;
+    }
+    return key;
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+}
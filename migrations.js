@@ -0,0 +1,263 @@
+// migrations.js - Numbered schema migrations for FomoTabsDB
+
+// TabStorage.init runs every migration above the database's old version, in order, inside the
+// upgrade transaction. A migration gets { db, transaction, storage, requestSearchRebuild } and may be
+// async as long as it only awaits requests of that transaction. Whatever it returns goes into the
+// migration log. Throwing aborts the upgrade, so the database stays at its old version.
+// From version 9 on, the urls, trash and tabExports records of an encrypted library are sealed (see
+// TabStorage.sealRecord) and migrations can't read them; one that changes records has to look for the
+// 'encryption' entry of the meta store first.
+// Every migration has a test in test/migrations.test.js that runs it on a fixture database of the
+// version before it.
+const TAB_STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the tabExports store',
+    migrate({ db, storage }) {
+      if (db.objectStoreNames.contains(storage.exportStoreName)) return { skipped: true };
+
+      const exportStore = db.createObjectStore(storage.exportStoreName, { keyPath: 'id', autoIncrement: true });
+      exportStore.createIndex('timestamp', 'timestamp', { unique: false });
+      exportStore.createIndex('format', 'format', { unique: false });
+      exportStore.createIndex('windowCount', 'windowCount', { unique: false });
+      return { created: storage.exportStoreName };
+    }
+  },
+
+  {
+    version: 2,
+    description: 'Create the urls store, keyed by URL',
+    migrate({ db, storage }) {
+      if (db.objectStoreNames.contains(storage.urlStoreName)) return { skipped: true };
+
+      const urlStore = db.createObjectStore(storage.urlStoreName, { keyPath: 'url' });
+      urlStore.createIndex('domain', 'domain', { unique: false });
+      urlStore.createIndex('firstSeen', 'firstSeen', { unique: false });
+      urlStore.createIndex('lastSeen', 'lastSeen', { unique: false });
+      urlStore.createIndex('accessCount', 'accessCount', { unique: false });
+      urlStore.createIndex('categories', 'categories', { unique: false, multiEntry: true });
+      urlStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+      return { created: storage.urlStoreName };
+    }
+  },
+
+  {
+    version: 3,
+    description: 'Create the full-text search index',
+    migrate({ db, storage, requestSearchRebuild }) {
+      if (!db.objectStoreNames.contains(storage.searchStoreName)) {
+        storage.searchIndex.createStore(db);
+      }
+      requestSearchRebuild();
+      return { created: storage.searchStoreName };
+    }
+  },
+
+  {
+    version: 4,
+    description: 'Key records by canonical URL and merge tracking-parameter variants',
+    async migrate({ transaction, storage, requestSearchRebuild }) {
+      const store = transaction.objectStore(storage.urlStoreName);
+      if (!store.indexNames.contains('aliases')) {
+        store.createIndex('aliases', 'aliases', { unique: false, multiEntry: true });
+      }
+
+      const result = { rekeyed: 0, merged: 0 };
+
+      await migrationCursor(store.openCursor(), async (cursor) => {
+        const record = storage.canonicalRecord(cursor.value);
+        if (record.url === cursor.value.url) {
+          // Records written before aliases existed get an empty list
+          if (!Array.isArray(cursor.value.aliases)) cursor.update(record);
+          return;
+        }
+
+        const target = await storage.searchIndex.requestResult(store.get(record.url));
+        store.put(target ? storage.mergeUrlRecords(target, record) : record);
+        cursor.delete();
+        result[target ? 'merged' : 'rekeyed']++;
+      });
+
+      if (result.rekeyed || result.merged) requestSearchRebuild();
+      return result;
+    }
+  },
+
+  {
+    version: 5,
+    description: 'Create the trash store',
+    migrate({ db, storage }) {
+      if (db.objectStoreNames.contains(storage.trashStoreName)) return { skipped: true };
+
+      // One entry per deleted URL, grouped into batches that can be undone together
+      const trashStore = db.createObjectStore(storage.trashStoreName, { keyPath: 'url' });
+      trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+      trashStore.createIndex('batchId', 'batchId', { unique: false });
+      return { created: storage.trashStoreName };
+    }
+  },
+
+  {
+    version: 6,
+    description: 'Move legacy tabExports records into the urls store',
+    async migrate({ transaction, storage, requestSearchRebuild }) {
+      const exportStore = transaction.objectStore(storage.exportStoreName);
+      const urlStore = transaction.objectStore(storage.urlStoreName);
+      const result = { exports: 0, added: 0, merged: 0, skipped: 0 };
+
+      await migrationCursor(exportStore.openCursor(), async (cursor) => {
+        // Session snapshots live in the same store and stay there
+        if (cursor.value.format === 'session') return;
+
+        for (const record of legacyExportRecords(cursor.value, storage)) {
+          if (!record) {
+            result.skipped++;
+            continue;
+          }
+
+          const existing = await storage.searchIndex.requestResult(urlStore.get(record.url));
+          urlStore.put(existing ? storage.mergeUrlRecords(existing, record) : record);
+          result[existing ? 'merged' : 'added']++;
+        }
+
+        cursor.delete();
+        result.exports++;
+      });
+
+      if (result.added || result.merged) requestSearchRebuild();
+      return result;
+    }
+  },
+
+  {
+    version: 7,
+    description: 'Index user tags and category overrides, add user fields to the search index',
+    migrate({ transaction, storage, requestSearchRebuild }) {
+      const store = transaction.objectStore(storage.urlStoreName);
+      store.createIndex('userTags', 'user.addedTags', { unique: false, multiEntry: true });
+      store.createIndex('userCategories', 'user.categoryOverride', { unique: false, multiEntry: true });
+
+      requestSearchRebuild();
+      return { created: ['userTags', 'userCategories'] };
+    }
+  },
+
+  {
+    version: 8,
+    description: 'Create the collections store and index URLs by collection',
+    migrate({ db, transaction, storage }) {
+      const collectionStore = db.createObjectStore(storage.collectionStoreName, { keyPath: 'id', autoIncrement: true });
+      collectionStore.createIndex('position', 'position', { unique: false });
+
+      transaction.objectStore(storage.urlStoreName).createIndex('collections', 'collections', { unique: false, multiEntry: true });
+      return { created: storage.collectionStoreName, indexes: ['collections'] };
+    }
+  },
+
+  {
+    version: 9,
+    description: 'Create the meta store for library-wide settings',
+    migrate({ db, storage }) {
+      // Written in the same transaction as the records they describe, e.g. the encryption settings
+      db.createObjectStore(storage.metaStoreName, { keyPath: 'key' });
+      return { created: storage.metaStoreName };
+    }
+  },
+
+  {
+    version: 10,
+    description: 'Create the tombstones store for deletes that still have to be synced',
+    migrate({ db, storage }) {
+      const tombstoneStore = db.createObjectStore(storage.tombstoneStoreName, { keyPath: 'url' });
+      tombstoneStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+      return { created: storage.tombstoneStoreName };
+    }
+  },
+
+  {
+    version: 11,
+    description: 'Re-index the URL and technology words the search index used to drop',
+    async migrate({ transaction, storage, requestSearchRebuild }) {
+      const metaStore = transaction.objectStore(storage.metaStoreName);
+      if (await storage.searchIndex.requestResult(metaStore.get('encryption'))) {
+        // Sealed records can't be read here; the blind index is rebuilt once the library is unlocked
+        metaStore.put({ key: 'searchRebuildNeeded', since: 11 });
+        return { deferred: 'encrypted' };
+      }
+
+      requestSearchRebuild();
+      return { rebuilt: storage.searchStoreName };
+    }
+  }
+];
+
+// Walk a cursor request; callback may be async and the cursor only moves on once it settles
+function migrationCursor(request, callback) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = async () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+
+      try {
+        await callback(cursor);
+        cursor.continue();
+      } catch (error) {
+        reject(error);
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// URL records from one pre-session export. Old exports kept either the tabs themselves or the
+// downloaded file content (fomo-tabs JSON, markdown or plain text); null marks an unusable entry
+function legacyExportRecords(exportRecord, storage) {
+  const timestamp = !isNaN(new Date(exportRecord.timestamp).getTime())
+    ? new Date(exportRecord.timestamp).toISOString()
+    : new Date().toISOString();
+
+  let tabs = Array.isArray(exportRecord.tabs) ? exportRecord.tabs : null;
+
+  if (!tabs && typeof exportRecord.content === 'string') {
+    try {
+      const parsed = JSON.parse(exportRecord.content);
+      tabs = Array.isArray(parsed.tabs) ? parsed.tabs : null;
+    } catch (error) {
+      // Not JSON: pick links out of markdown "[title](url)" or bare URLs
+      tabs = [];
+      const linkPattern = /\[([^\]]*)\]\((https?:\/\/[^\s)]+)\)|(https?:\/\/[^\s)\]>"']+)/g;
+      let match;
+      while ((match = linkPattern.exec(exportRecord.content)) !== null) {
+        tabs.push({ title: match[1] || '', url: match[2] || match[3] });
+      }
+    }
+  }
+
+  return (tabs || []).map(tab => {
+    if (!storage.canonicalizer.isWebUrl(tab?.url)) return null;
+
+    const tags = tab.contentTags || {};
+    return storage.canonicalRecord({
+      url: tab.url,
+      title: tab.title || tab.url,
+      domain: storage.extractDomain(tab.url),
+      firstSeen: timestamp,
+      lastSeen: timestamp,
+      accessCount: 1,
+      categories: tags.categories || [],
+      confidence: tags.confidence || 0,
+      tags: tags.tags || [],
+      description: tags.description || '',
+      image: tags.image || '',
+      author: tags.author || '',
+      publishedDate: tags.publishedDate || '',
+      wordCount: tags.wordCount || 0,
+      language: tags.language || '',
+      favIconUrl: tab.favIconUrl || '',
+      history: [{ timestamp, action: 'import', windowId: tab.windowId ?? null, title: tab.title || '' }]
+    });
+  });
+}
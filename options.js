@@ -0,0 +1,195 @@
+// options.js - Manage the filter rules every save goes through and show the keyboard shortcuts
+document.addEventListener('DOMContentLoaded', function() {
+  const rulesBody = document.getElementById('rulesBody');
+  const addRuleBtn = document.getElementById('addRule');
+  const saveRulesBtn = document.getElementById('saveRules');
+  const resetRulesBtn = document.getElementById('resetRules');
+  const statusDiv = document.getElementById('status');
+  const testUrl = document.getElementById('testUrl');
+  const testTitle = document.getElementById('testTitle');
+  const testRuleBtn = document.getElementById('testRule');
+  const testResult = document.getElementById('testResult');
+  const shortcutsBody = document.getElementById('shortcutsBody');
+  const editShortcutsBtn = document.getElementById('editShortcuts');
+  const actionLabels = { keep: 'Always keep', allow: 'Allow', deny: 'Skip' };
+  const typeLabels = { domain: 'Domain', glob: 'URL glob', regex: 'URL regex', title: 'Title' };
+  let rules = [];
+
+  addRuleBtn.addEventListener('click', addRule);
+  saveRulesBtn.addEventListener('click', saveRules);
+  resetRulesBtn.addEventListener('click', resetRules);
+  testRuleBtn.addEventListener('click', testTab);
+  testUrl.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') testTab();
+  });
+
+  // Shortcuts can only be changed on the browser's own page
+  editShortcutsBtn.addEventListener('click', () => chrome.tabs.create({ url: 'chrome://extensions/shortcuts' }));
+
+  loadRules();
+  loadShortcuts();
+
+  async function loadRules() {
+    try {
+      rules = await tabFilter.getRules();
+      renderRules();
+    } catch (error) {
+      showStatus(`Error loading rules: ${error.message}`, true);
+    }
+  }
+
+  function renderRules() {
+    rulesBody.innerHTML = '';
+    rules.forEach((rule, index) => rulesBody.appendChild(createRuleRow(rule, index)));
+  }
+
+  // One editable row; edits go straight into the rules array
+  function createRuleRow(rule, index) {
+    const row = document.createElement('tr');
+    row.classList.toggle('disabled', rule.enabled === false);
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = rule.enabled !== false;
+    enabled.addEventListener('change', () => {
+      rule.enabled = enabled.checked;
+      row.classList.toggle('disabled', !enabled.checked);
+    });
+
+    const action = createSelect(actionLabels, rule.action);
+    action.addEventListener('change', () => { rule.action = action.value; });
+
+    const type = createSelect(typeLabels, rule.type);
+    type.addEventListener('change', () => { rule.type = type.value; });
+
+    const pattern = document.createElement('input');
+    pattern.type = 'text';
+    pattern.value = rule.pattern || '';
+    pattern.addEventListener('input', () => {
+      rule.pattern = pattern.value;
+      row.classList.remove('invalid');
+    });
+
+    const priority = document.createElement('input');
+    priority.type = 'number';
+    priority.value = rule.priority || 0;
+    priority.addEventListener('input', () => { rule.priority = priority.value; });
+
+    const remove = document.createElement('button');
+    remove.className = 'danger';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => {
+      rules.splice(index, 1);
+      renderRules();
+    });
+
+    [enabled, action, type, pattern, priority, remove].forEach(control => {
+      const cell = document.createElement('td');
+      cell.appendChild(control);
+      row.appendChild(cell);
+    });
+    return row;
+  }
+
+  function createSelect(labels, value) {
+    const select = document.createElement('select');
+    Object.entries(labels).forEach(([key, label]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = value;
+    return select;
+  }
+
+  function addRule() {
+    rules.push({ action: 'deny', type: 'domain', pattern: '', priority: 0, enabled: true });
+    renderRules();
+    rulesBody.lastElementChild.querySelector('input[type="text"]').focus();
+  }
+
+  // Rows in the table, checked and normalized; marks the first bad row and throws
+  function collectRules() {
+    return rules.map((rule, index) => {
+      try {
+        return tabFilter.normalizeRule(rule);
+      } catch (error) {
+        const row = rulesBody.children[index];
+        row.classList.add('invalid');
+        row.querySelector('input[type="text"]').focus();
+        throw new Error(`Rule ${index + 1}: ${error.message}`);
+      }
+    });
+  }
+
+  async function saveRules() {
+    try {
+      rules = await tabFilter.saveRules(collectRules());
+      renderRules();
+      showStatus(`Saved ${rules.length} rules`);
+    } catch (error) {
+      showStatus(`Error saving rules: ${error.message}`, true);
+    }
+  }
+
+  async function resetRules() {
+    if (!confirm('Replace your rules with the default ones?')) return;
+
+    try {
+      rules = await tabFilter.resetRules();
+      renderRules();
+      showStatus('Default rules restored');
+    } catch (error) {
+      showStatus(`Error restoring rules: ${error.message}`, true);
+    }
+  }
+
+  function testTab() {
+    const url = testUrl.value.trim();
+    if (!url) return;
+
+    try {
+      const decision = tabFilter.checkTab({ url, title: testTitle.value }, tabFilter.compileRules(collectRules()));
+      testResult.className = `test-result ${decision.keep ? 'keep' : 'skip'}`;
+      if (decision.reason === 'browser-page') {
+        testResult.textContent = 'Skipped: browser pages are never saved';
+      } else if (decision.reason === 'default') {
+        testResult.textContent = 'Saved: no rule matches';
+      } else {
+        testResult.textContent = `${decision.keep ? 'Saved' : 'Skipped'} by: ${tabFilter.describeRule(decision.rule)}`;
+      }
+    } catch (error) {
+      testResult.className = 'test-result skip';
+      testResult.textContent = error.message;
+    }
+  }
+
+  async function loadShortcuts() {
+    try {
+      const commands = await chrome.commands.getAll();
+      shortcutsBody.innerHTML = '';
+      commands.filter(command => command.description).forEach(command => {
+        const row = document.createElement('tr');
+        const name = document.createElement('td');
+        name.textContent = command.description;
+        const shortcut = document.createElement('td');
+        shortcut.textContent = command.shortcut || 'Not set';
+        row.append(name, shortcut);
+        shortcutsBody.appendChild(row);
+      });
+    } catch (error) {
+      console.warn('Could not load shortcuts:', error);
+    }
+  }
+
+  function showStatus(message, isError = false) {
+    statusDiv.textContent = message;
+    statusDiv.className = `status ${isError ? 'error' : 'success'}`;
+    statusDiv.style.display = 'block';
+
+    setTimeout(() => {
+      statusDiv.style.display = 'none';
+    }, 3000);
+  }
+});
@@ -3,15 +3,59 @@ document.addEventListener('DOMContentLoaded', function() {
   const exportCurrentBtn = document.getElementById('exportCurrentWindow');
   const exportAllBtn = document.getElementById('exportAllWindows');
   const exportCurrentTabBtn = document.getElementById('exportCurrentTab');
+  const closeCurrentTabBtn = document.getElementById('closeCurrentTab');
+  const closeCurrentWindowBtn = document.getElementById('closeCurrentWindow');
+  const closeAllWindowsBtn = document.getElementById('closeAllWindows');
   const viewSavedBtn = document.getElementById('viewSavedExports');
+  const filterRulesBtn = document.getElementById('filterRules');
   const resetBtn = document.getElementById('resetData');
   const statusDiv = document.getElementById('status');
+  const undoToast = document.getElementById('undoToast');
+  const undoMessage = document.getElementById('undoMessage');
+  const undoBtn = document.getElementById('undoBtn');
+  const collectionSelect = document.getElementById('collectionSelect');
+  const newCollectionName = document.getElementById('newCollectionName');
+  const reviewList = document.getElementById('reviewList');
+  const reviewSummary = document.getElementById('reviewSummary');
+  const reviewSaveBtn = document.getElementById('reviewSave');
+  const reviewCancelBtn = document.getElementById('reviewCancel');
+  const reviewSelectDefaultBtn = document.getElementById('reviewSelectDefault');
+  let undoAction = null;
+  let undoTimer = null;
+  let review = null; // { allWindows, closeAfter, items: [{ verdict, saved, checkbox }] } while the review list is open
+  let currentJobId = null; // Save job started from this popup, or the running one it found on opening
 
   exportCurrentBtn.addEventListener('click', () => exportTabs(false));
   exportAllBtn.addEventListener('click', () => exportTabs(true));
   exportCurrentTabBtn.addEventListener('click', () => exportCurrentTab());
+  closeCurrentTabBtn.addEventListener('click', () => exportCurrentTab(true));
+  closeCurrentWindowBtn.addEventListener('click', () => exportTabs(false, true));
+  closeAllWindowsBtn.addEventListener('click', () => exportTabs(true, true));
   viewSavedBtn.addEventListener('click', showSavedExports);
+  filterRulesBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
   resetBtn.addEventListener('click', resetAllData);
+  undoBtn.addEventListener('click', runUndo);
+  reviewSaveBtn.addEventListener('click', saveReviewedTabs);
+  reviewCancelBtn.addEventListener('click', closeReview);
+  reviewSelectDefaultBtn.addEventListener('click', resetReviewChoices);
+  collectionSelect.addEventListener('change', () => {
+    newCollectionName.style.display = collectionSelect.value === 'new' ? 'block' : 'none';
+    if (collectionSelect.value === 'new') newCollectionName.focus();
+  });
+
+  loadCollections();
+  offerReopen();
+  followRunningJob();
+
+  // Progress of save jobs from the background service worker
+  chrome.runtime.onMessage.addListener(request => {
+    if (request.action === 'saveJobUpdate' && request.job.id === currentJobId) showJob(request.job);
+  });
+
+  // Collections made, renamed or deleted in the viewer while the popup is open
+  tabStorage.onChange(change => {
+    if (change.type === 'collections' || change.type === 'reset') loadCollections();
+  });
 
 
   function getDownloadFile() {
@@ -19,101 +63,54 @@ document.addEventListener('DOMContentLoaded', function() {
     return checkbox ? checkbox.checked : false;
   }
 
-  function filterTabs(tabs) {
-    const seen = new Set();
-    const authPatterns = [
-      /login/i,
-      /signin/i,
-      /auth/i,
-      /oauth/i,
-      /sso/i,
-      /authenticate/i,
-      /register/i,
-      /signup/i,
-      /password/i,
-      /forgot/i,
-      /reset/i,
-      /verify/i,
-      /confirm/i,
-      /2fa/i,
-      /mfa/i
-    ];
-
-    const filtered = tabs.filter(tab => {
-      // Skip if URL is duplicate
-      if (seen.has(tab.url)) {
-        return false;
-      }
-      seen.add(tab.url);
+  function getKeepPinnedAudible() {
+    const checkbox = document.getElementById('keepPinnedAudible');
+    return checkbox ? checkbox.checked : true;
+  }
 
-      const url = tab.url.toLowerCase();
-      const title = tab.title.toLowerCase();
+  function getReviewBeforeSave() {
+    const checkbox = document.getElementById('reviewBeforeSave');
+    return checkbox ? checkbox.checked : false;
+  }
 
-      // Skip chrome:// and chrome-extension:// URLs
-      if (url.startsWith('chrome://') || url.startsWith('chrome-extension://')) {
-        return false;
-      }
+  // List existing collections between "No collection" and "New collection...", keeping the choice
+  async function loadCollections() {
+    try {
+      const collections = await tabStorage.getCollections();
+      const newOption = collectionSelect.querySelector('option[value="new"]');
+      const selected = collectionSelect.value;
 
-      // Skip Google search URLs and Stack Overflow
-      if (url.includes('google.com/search') || url.includes('stackoverflow.com')) {
-        return false;
-      }
+      collectionSelect.querySelectorAll('option:not([value=""]):not([value="new"])').forEach(option => option.remove());
 
-      // Skip if URL matches auth/login patterns
-      for (const pattern of authPatterns) {
-        if (pattern.test(url) || pattern.test(title)) {
-          return false;
-        }
-      }
+      collections.forEach(collection => {
+        const option = document.createElement('option');
+        option.value = collection.id;
+        option.textContent = collection.name;
+        collectionSelect.insertBefore(option, newOption);
+      });
+      collectionSelect.value = [...collectionSelect.options].some(option => option.value === selected) ? selected : '';
+    } catch (error) {
+      console.warn('Could not load collections:', error);
+    }
+  }
 
-      // Skip common auth domains
-      const authDomains = [
-        'accounts.google.com',
-        'login.microsoftonline.com',
-        'auth.openai.com',
-        'github.com/login',
-        'twitter.com/login',
-        'facebook.com/login',
-        'linkedin.com/login'
-      ];
-
-      for (const domain of authDomains) {
-        if (url.includes(domain)) {
-          return false;
-        }
-      }
+  // Collection id for a window save, creating the collection first if the user asked for a new one
+  async function getTargetCollectionId() {
+    if (!collectionSelect.value) return null;
+    if (collectionSelect.value !== 'new') return Number(collectionSelect.value);
 
-      return true;
-    });
+    const collection = await tabStorage.createCollection({ name: newCollectionName.value });
 
-    return {
-      filtered: filtered,
-      originalCount: tabs.length,
-      filteredCount: filtered.length,
-      duplicatesRemoved: tabs.length - seen.size,
-      authPagesRemoved: seen.size - filtered.length
-    };
-  }
+    // Later saves from this popup go to the same collection
+    const option = document.createElement('option');
+    option.value = collection.id;
+    option.textContent = collection.name;
+    collectionSelect.insertBefore(option, collectionSelect.querySelector('option[value="new"]'));
+    collectionSelect.value = collection.id;
+    newCollectionName.value = '';
+    newCollectionName.style.display = 'none';
 
-  function formatTabs(tabs) {
-    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-    
-    const jsonData = {
-      exportDate: new Date().toISOString(),
-      tabs: tabs.map(tab => ({
-        title: tab.title,
-        url: tab.url,
-        windowId: tab.windowId,
-        index: tab.index,
-        active: tab.active,
-        pinned: tab.pinned,
-        contentTags: tab.contentTags || null
-      }))
-    };
-    return {
-      content: JSON.stringify(jsonData, null, 2),
-      filename: `fomo-tabs-${timestamp}.json`
-    };
+    return collection.id;
   }
 
   function showStatus(message, isError = false) {
@@ -126,76 +123,235 @@ document.addEventListener('DOMContentLoaded', function() {
     }, 3000);
   }
 
-  async function exportTabs(allWindows) {
+  // Full storage and a locked library come with their own instructions
+  function databaseErrorMessage(error) {
+    return ['QuotaExceededError', 'LibraryLockedError'].includes(error.name) ? error.message : `Database error: ${error.message}`;
+  }
+
+  // Save the current or all windows; closeAfter closes the tabs that were saved
+  async function exportTabs(allWindows, closeAfter = false) {
+    if (!getReviewBeforeSave()) {
+      await startSaveJob(allWindows ? 'all-windows' : 'window', closeAfter);
+      return;
+    }
+
     try {
-      const queryOptions = allWindows ? {} : { currentWindow: true };
+      const tabs = await chrome.tabs.query(allWindows ? {} : { currentWindow: true });
+      if (tabs.length === 0) {
+        showStatus('No tabs found', true);
+        return;
+      }
+      await showReview(tabs, allWindows, closeAfter);
+    } catch (error) {
+      showStatus(databaseErrorMessage(error), true);
+    }
+  }
 
-      chrome.tabs.query(queryOptions, async (tabs) => {
-        if (chrome.runtime.lastError) {
-          showStatus(`Error: ${chrome.runtime.lastError.message}`, true);
-          return;
-        }
+  // Save the active tab; closeAfter closes it once saved
+  async function exportCurrentTab(closeAfter = false) {
+    await startSaveJob('tab', closeAfter);
+  }
 
-        if (tabs.length === 0) {
-          showStatus('No tabs found', true);
-          return;
+  // Hand the save to the background service worker, which keeps going when the popup closes.
+  // tabIds are the tabs picked in the review list, null lets the filter rules decide
+  async function startSaveJob(scope, closeAfter, tabIds = null) {
+    try {
+      const currentWindow = await chrome.windows.getCurrent();
+      const collectionId = scope === 'tab' ? null : await getTargetCollectionId();
+      const { job } = await sendCommand({
+        action: 'startSaveJob',
+        scope: scope,
+        windowId: currentWindow.id,
+        tabIds: tabIds,
+        options: {
+          download: getDownloadFile(),
+          collectionId: collectionId,
+          close: closeAfter,
+          keepPinnedAudible: getKeepPinnedAudible()
         }
+      });
 
-        const downloadFile = getDownloadFile();
+      currentJobId = job.id;
+      showJob(job);
+    } catch (error) {
+      showStatus(databaseErrorMessage(error), true);
+    }
+  }
 
-        // Filter tabs to remove duplicates and auth pages
-        const filterResult = filterTabs(tabs);
-        const filteredTabs = filterResult.filtered;
+  // Ask the background service worker; rejects with its error
+  async function sendCommand(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || !response.success) {
+      const error = new Error(response ? response.error : 'The background service worker did not answer');
+      error.name = response?.errorName || 'Error';
+      throw error;
+    }
+    return response;
+  }
 
-        // Show filtering results
-        if (filterResult.originalCount !== filterResult.filteredCount) {
-          showStatus(`Filtered: ${filterResult.originalCount} → ${filterResult.filteredCount} tabs (removed ${filterResult.duplicatesRemoved} duplicates, ${filterResult.authPagesRemoved} auth pages)`);
-        }
+  // A save still running when the popup opens, e.g. one started before it was closed
+  async function followRunningJob() {
+    try {
+      const { jobs } = await sendCommand({ action: 'getSaveJobs' });
+      const running = jobs.filter(job => job.status !== 'done' && job.status !== 'failed').pop();
+      if (running) {
+        currentJobId = running.id;
+        showJob(running);
+      }
+    } catch (error) {
+      console.warn('Could not read save jobs:', error);
+    }
+  }
 
-        try {
-          // Add content tags if possible
-          let tabsToExport = filteredTabs;
-          try {
-            showStatus('Adding content tags...');
-            tabsToExport = await contentTagger.tagMultipleUrls(filteredTabs);
-            showStatus('Content tagging completed');
-          } catch (tagError) {
-            console.warn('Content tagging failed, proceeding without tags:', tagError);
-            showStatus('Proceeding without content tags');
-          }
-
-          // Always save to IndexedDB
-          const results = await tabStorage.saveUrls(tabsToExport, { append: true });
-          
-          // Download file if requested
-          if (downloadFile) {
-            const { content, filename } = formatTabs(tabsToExport);
-            const blob = new Blob([content], { type: 'application/json;charset=utf-8' });
-            const url = URL.createObjectURL(blob);
-            chrome.downloads.download({
-              url: url,
-              filename: filename,
-              saveAs: true
-            }, () => {
-              if (chrome.runtime.lastError) {
-                showStatus(`Download failed: ${chrome.runtime.lastError.message}`, true);
-              } else {
-                showStatus(`Saved ${results.saved} new URLs, updated ${results.updated} existing (${results.errors.length} errors) & downloaded file`);
-              }
-
-              // Clean up the blob URL
-              URL.revokeObjectURL(url);
-            });
-          } else {
-            showStatus(`Saved ${results.saved} new URLs, updated ${results.updated} existing (${results.errors.length} errors)`);
-          }
-        } catch (dbError) {
-          showStatus(`Database error: ${dbError.message}`, true);
-        }
-      });
+  function showJob(job) {
+    if (job.status === 'failed') {
+      showStatus(jobErrorMessage(job.error), true);
+      return;
+    }
+    if (job.status !== 'done') {
+      showStatus(describeJobProgress(job));
+      return;
+    }
+
+    let message = job.scope === 'tab'
+      ? 'Saved current tab to database'
+      : `Saved ${job.results.saved} new URLs, updated ${job.results.updated} existing (${job.results.skipped} skipped)`;
+    if (job.filter && job.filter.originalCount !== job.filter.filteredCount) {
+      message += `; filtered ${job.filter.originalCount} → ${job.filter.filteredCount} tabs (removed ${job.filter.duplicatesRemoved} duplicates, ${job.filter.rulesRemoved} by filter rules)`;
+    }
+    if (job.downloadError) {
+      message += `, download failed: ${job.downloadError}`;
+    } else if (job.downloaded) {
+      message += ' & downloaded file';
+    }
+    if (job.closed > 0) {
+      message += `, closed ${job.closed} tabs`;
+      showUndo(`Closed ${job.closed} tabs`, reopenClosedTabs);
+    }
+
+    showStatus(message, !!job.downloadError);
+  }
+
+  // Nothing to save is not a database problem, and a failed close comes after a good save
+  function jobErrorMessage(error) {
+    if (error.step === 'queued') return error.message;
+    if (error.step === 'closing') return `Saved, but closing tabs failed: ${error.message}`;
+    return databaseErrorMessage(error);
+  }
+
+  function describeJobProgress(job) {
+    if (job.status === 'tagging') return `Adding content tags... ${job.progress.done}/${job.progress.total}`;
+    if (job.status === 'saving') return 'Saving to the library...';
+    if (job.status === 'downloading') return 'Downloading file...';
+    if (job.status === 'closing') return 'Closing saved tabs...';
+    return 'Starting save...';
+  }
+
+  // Tabs closed by a save, shown again when the popup opens while they can still be reopened
+  async function offerReopen() {
+    try {
+      const { batch } = await sendCommand({ action: 'getLastClosed' });
+      if (batch) showUndo(`Closed ${batch.tabs.length} tabs`, reopenClosedTabs);
     } catch (error) {
-      showStatus(`Error: ${error.message}`, true);
+      console.warn('Could not read closed tabs:', error);
+    }
+  }
+
+  async function reopenClosedTabs() {
+    const { results } = await sendCommand({ action: 'reopenClosedTabs' });
+    const failed = results.errors.length > 0 ? `, ${results.errors.length} failed` : '';
+    showStatus(`Reopened ${results.tabs} tabs${failed}`, results.errors.length > 0);
+  }
+
+  // List every tab of the save with the filter's verdict and whether it is already in the library;
+  // nothing is saved until the user confirms the ticked tabs
+  async function showReview(tabs, allWindows, closeAfter) {
+    const verdicts = await tabFilter.reviewTabs(tabs);
+    const saved = await tabStorage.findSavedUrls(tabs);
+
+    review = {
+      allWindows: allWindows,
+      closeAfter: closeAfter,
+      items: verdicts.map((verdict, position) => ({ verdict, saved: saved[position], checkbox: null }))
+    };
+    reviewList.innerHTML = '';
+    review.items.forEach(item => reviewList.appendChild(createReviewItem(item)));
+    document.body.classList.add('reviewing');
+    updateReviewSummary();
+  }
+
+  function createReviewItem(item) {
+    const { verdict, saved } = item;
+    const row = document.createElement('label');
+    row.className = verdict.keep ? 'review-item' : 'review-item skipped';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = verdict.keep;
+    // A repeated URL is saved once anyway, and browser pages can't be saved
+    checkbox.disabled = verdict.reason === 'duplicate' || verdict.reason === 'browser-page';
+    checkbox.addEventListener('change', updateReviewSummary);
+    item.checkbox = checkbox;
+
+    const text = document.createElement('div');
+    text.className = 'review-text';
+
+    const title = document.createElement('div');
+    title.className = 'review-title';
+    title.textContent = verdict.tab.title || verdict.tab.url;
+    title.title = verdict.tab.title || '';
+    if (saved) {
+      const badge = document.createElement('span');
+      badge.className = 'review-badge';
+      badge.textContent = 'In library';
+      badge.title = `Last saved ${new Date(saved.lastSeen).toLocaleString()}, ${saved.accessCount} saves`;
+      title.appendChild(badge);
     }
+
+    const url = document.createElement('div');
+    url.className = 'review-url';
+    url.textContent = verdict.tab.url;
+    url.title = verdict.tab.url;
+
+    const reason = document.createElement('div');
+    reason.className = 'review-reason';
+    reason.textContent = tabFilter.describeVerdict(verdict);
+    reason.title = reason.textContent;
+
+    text.append(title, url, reason);
+    row.append(checkbox, text);
+    return row;
+  }
+
+  function updateReviewSummary() {
+    const selected = review.items.filter(item => item.checkbox.checked);
+    const inLibrary = selected.filter(item => item.saved).length;
+
+    reviewSummary.textContent = `${review.items.length} tabs: ${selected.length} to save (${inLibrary} already in the library), ${review.items.length - selected.length} skipped`;
+    reviewSaveBtn.textContent = `Save ${selected.length} Tabs`;
+    reviewSaveBtn.disabled = selected.length === 0;
+  }
+
+  // Back to what the filter rules decided
+  function resetReviewChoices() {
+    review.items.forEach(item => {
+      item.checkbox.checked = item.verdict.keep;
+    });
+    updateReviewSummary();
+  }
+
+  function closeReview() {
+    review = null;
+    reviewList.innerHTML = '';
+    document.body.classList.remove('reviewing');
+  }
+
+  async function saveReviewedTabs() {
+    const { items, allWindows, closeAfter } = review;
+    const tabIds = items.filter(item => item.checkbox.checked).map(item => item.verdict.tab.id);
+
+    closeReview();
+    await startSaveJob(allWindows ? 'all-windows' : 'window', closeAfter, tabIds);
   }
 
   async function showSavedExports() {
@@ -209,74 +365,32 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
-  async function exportCurrentTab() {
-    try {
-      chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
-        if (chrome.runtime.lastError) {
-          showStatus(`Error: ${chrome.runtime.lastError.message}`, true);
-          return;
-        }
-
-        if (tabs.length === 0) {
-          showStatus('No active tab found', true);
-          return;
-        }
+  // Offer to undo the last destructive action for a few seconds
+  function showUndo(message, action) {
+    clearTimeout(undoTimer);
+    undoAction = action;
+    undoMessage.textContent = message;
+    undoToast.style.display = 'block';
 
-        const currentTab = tabs[0];
-        const downloadFile = getDownloadFile();
+    undoTimer = setTimeout(hideUndo, 10000);
+  }
 
-        // Filter the current tab (apply same filtering logic)
-        const filterResult = filterTabs([currentTab]);
-        const filteredTabs = filterResult.filtered;
+  function hideUndo() {
+    clearTimeout(undoTimer);
+    undoAction = null;
+    undoToast.style.display = 'none';
+  }
 
-        if (filteredTabs.length === 0) {
-          showStatus('Current tab was filtered out (likely auth/login page)', true);
-          return;
-        }
+  async function runUndo() {
+    const action = undoAction;
+    hideUndo();
+    if (!action) return;
 
-        try {
-          // Add content tags if possible
-          let tabsToExport = filteredTabs;
-          try {
-            showStatus('Adding content tags...');
-            tabsToExport = await contentTagger.tagMultipleUrls(filteredTabs);
-            showStatus('Content tagging completed');
-          } catch (tagError) {
-            console.warn('Content tagging failed, proceeding without tags:', tagError);
-            showStatus('Proceeding without content tags');
-          }
-
-          // Always save to IndexedDB
-          const results = await tabStorage.saveUrls(tabsToExport, { append: true });
-          
-          // Download file if requested
-          if (downloadFile) {
-            const { content, filename } = formatTabs(tabsToExport);
-            const blob = new Blob([content], { type: 'application/json;charset=utf-8' });
-            const url = URL.createObjectURL(blob);
-            chrome.downloads.download({
-              url: url,
-              filename: filename,
-              saveAs: true
-            }, () => {
-              if (chrome.runtime.lastError) {
-                showStatus(`Download failed: ${chrome.runtime.lastError.message}`, true);
-              } else {
-                showStatus(`Saved current tab & downloaded file`);
-              }
-
-              // Clean up the blob URL
-              URL.revokeObjectURL(url);
-            });
-          } else {
-            showStatus(`Saved current tab to database`);
-          }
-        } catch (dbError) {
-          showStatus(`Database error: ${dbError.message}`, true);
-        }
-      });
+    try {
+      await action();
     } catch (error) {
-      showStatus(`Error: ${error.message}`, true);
+      console.error('Error undoing:', error);
+      showStatus(`Undo failed: ${error.message}`, true);
     }
   }
 
@@ -284,7 +398,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // Show confirmation dialog
     const confirmed = confirm(
       'Are you sure you want to reset all saved data?\n\n' +
-      'This will permanently delete all saved URLs and cannot be undone.\n\n' +
+      'All saved URLs will be moved to the trash. You can undo right away or restore them from the trash in the viewer.\n\n' +
       'Click OK to proceed or Cancel to abort.'
     );
 
@@ -295,11 +409,15 @@ document.addEventListener('DOMContentLoaded', function() {
     try {
       showStatus('Resetting all data...');
       
-      // Initialize storage if needed and clear all URLs
+      // Initialize storage if needed and move all URLs to the trash
       await tabStorage.init();
-      await tabStorage.clearAllUrls();
+      const result = await tabStorage.clearAllUrls();
       
       showStatus('All data has been reset successfully');
+      showUndo(`Moved ${result.count} URLs to the trash`, async () => {
+        const restored = await tabStorage.undoDelete(result.batchId);
+        showStatus(`Restored ${restored} URLs`);
+      });
     } catch (error) {
       console.error('Error resetting data:', error);
       showStatus(`Error resetting data: ${error.message}`, true);
@@ -0,0 +1,356 @@
+// save-jobs.js - Save runs owned by the background service worker
+
+// The popup only starts a job and shows its progress; the job itself runs here, so closing the
+// popup no longer kills a save halfway through tagging. Jobs are kept in chrome.storage.local under
+// saveJobs, and each step is written down before the next one starts:
+//   queued -> tagging (one tab at a time, results kept in batches) -> saving -> downloading -> closing -> done
+// saveJobs only holds the small part of each job; its tabs are stored once under saveJobTabs-<id> and its
+// tag results under saveJobTags-<id>-<batch>, so a progress update doesn't rewrite every tab. The tags go
+// once the saving step wrote them, the tabs once the job is finished.
+// A service worker that is stopped picks its unfinished jobs up again at the step they were in.
+// Any step can end in failed, keeping the error and the step it happened in on the job. Every
+// change is sent to open extension pages as a saveJobUpdate message
+class SaveJobs {
+  constructor(storage, tagger, filter, closer) {
+    this.storage = storage;
+    this.tagger = tagger;
+    this.filter = filter;
+    this.closer = closer;
+    this.storageKey = 'saveJobs';
+    this.scopes = ['tab', 'window', 'all-windows'];
+    this.keepFinished = 5; // Finished jobs kept so a reopened popup can still show the outcome
+    this.tagBatchSize = 10; // Tag results stored together; a restart tags at most this many tabs again
+    this.jobs = null; // Loaded once per service worker, then written back on every change
+    this.running = null; // The queue run of this service worker, if any
+    this.listeners = []; // Called with the summary of every change, inside the service worker
+  }
+
+  async getJobs() {
+    if (!this.jobs) {
+      const stored = (await chrome.storage.local.get(this.storageKey))[this.storageKey];
+      const jobs = Array.isArray(stored) ? stored : [];
+      for (const job of jobs) {
+        if (!this.isFinished(job)) await this.loadDetails(job);
+      }
+      this.jobs = this.jobs || jobs;
+    }
+    return this.jobs;
+  }
+
+  // Put the tabs and stored tag batches of an unfinished job back on it
+  async loadDetails(job) {
+    const batchKeys = Array.from({ length: job.tagBatches || 0 }, (_, batch) => this.tagsKey(job, batch));
+    const stored = await chrome.storage.local.get([this.tabsKey(job), ...batchKeys]);
+    const details = stored[this.tabsKey(job)] || {};
+
+    job.tabs = details.tabs || null;
+    job.toSave = details.toSave || null;
+    job.tagged = batchKeys.flatMap(key => stored[key] || []);
+  }
+
+  tabsKey(job) {
+    return `saveJobTabs-${job.id}`;
+  }
+
+  tagsKey(job, batch) {
+    return `saveJobTags-${job.id}-${batch}`;
+  }
+
+  // Queue a save; command is { scope, windowId, tabIds, options, source }. tabIds are the tabs the user
+  // picked in the popup's review list and skip the filter rules, null means filter as usual. source
+  // says who started it: 'popup' or 'shortcut'
+  async start(command) {
+    if (!this.scopes.includes(command.scope)) {
+      throw new Error(`Unknown save scope "${command.scope}"`);
+    }
+
+    const options = command.options || {};
+    const now = new Date().toISOString();
+    const job = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      scope: command.scope,
+      source: command.source || 'popup',
+      windowId: command.windowId ?? null,
+      tabIds: Array.isArray(command.tabIds) ? command.tabIds : null,
+      options: {
+        download: !!options.download,
+        collectionId: command.scope === 'tab' ? null : options.collectionId ?? null,
+        close: !!options.close,
+        keepPinnedAudible: options.keepPinnedAudible !== false
+      },
+      status: 'queued',
+      progress: { done: 0, total: 0 },
+      savedAt: now, // One timestamp for the whole run, also after a restart
+      createdAt: now,
+      updatedAt: now,
+      tabs: null, // Every tab the save looked at; the ones it wrote may be closed
+      toSave: null,
+      tagged: [],
+      tagBatches: 0, // Tag results stored so far, tagBatchSize each
+      filter: null,
+      results: null,
+      downloadError: null,
+      closed: 0,
+      error: null
+    };
+
+    (await this.getJobs()).push(job);
+    await this.update(job);
+    this.run();
+    return this.summary(job);
+  }
+
+  // Pick up what a stopped service worker left unfinished
+  async resume() {
+    await this.getJobs();
+    return this.run();
+  }
+
+  // Work through unfinished jobs one at a time; tagging injects into and may reload tabs, so two
+  // jobs tagging side by side would step on each other
+  run() {
+    if (!this.running) {
+      this.running = (async () => {
+        let job;
+        while ((job = (await this.getJobs()).find(candidate => !this.isFinished(candidate)))) {
+          await this.runJob(job);
+        }
+      })().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  isFinished(job) {
+    return job.status === 'done' || job.status === 'failed';
+  }
+
+  async runJob(job) {
+    try {
+      if (job.status === 'queued') {
+        await this.collectTabs(job);
+        await chrome.storage.local.set({ [this.tabsKey(job)]: { tabs: job.tabs, toSave: job.toSave } });
+        await this.update(job, 'tagging');
+      }
+
+      if (job.status === 'tagging') {
+        for (let position = job.tagged.length; position < job.toSave.length; position++) {
+          const [tagged] = await this.tagger.tagMultipleUrls([job.toSave[position]]);
+          job.tagged.push(tagged);
+          job.progress = { done: job.tagged.length, total: job.toSave.length };
+          if (job.tagged.length % this.tagBatchSize === 0 || job.tagged.length === job.toSave.length) {
+            await this.storeTagBatch(job);
+          }
+          await this.update(job);
+        }
+        await this.update(job, 'saving');
+      }
+
+      if (job.status === 'saving') {
+        // A worker stopped between the write and this step's end writes the batch again on resume;
+        // once skips what the first write already stored under the job's savedAt
+        job.results = await this.storage.saveUrls(job.tagged, {
+          append: true,
+          action: job.scope,
+          savedAt: job.savedAt,
+          collectionId: job.options.collectionId,
+          once: true
+        });
+
+        // Record window runs as a session snapshot so they can be listed and restored later
+        if (job.scope !== 'tab') {
+          await this.storage.saveSession(job.tagged, { scope: job.scope, timestamp: job.savedAt, once: true });
+        }
+        job.tagBatches = 0;
+        await this.update(job, 'downloading');
+        await this.removeTagBatches(job);
+      }
+
+      if (job.status === 'downloading') {
+        // After a restart the tags are gone and the file lists the tabs without them
+        if (job.options.download) job.downloadError = await this.download(job.tagged.length > 0 ? job.tagged : job.toSave);
+        await this.update(job, 'closing');
+      }
+
+      if (job.status === 'closing') {
+        if (job.options.close) job.closed = await this.closeSavedTabs(job);
+        await this.update(job, 'done');
+      }
+    } catch (error) {
+      console.error(`Save job ${job.id} failed:`, error);
+      job.error = { name: error.name, message: error.message, step: job.status };
+      await this.update(job, 'failed');
+    }
+
+    await this.removeDetails(job);
+    await this.pruneFinished();
+  }
+
+  // Store the tag results since the last stored batch
+  async storeTagBatch(job) {
+    const start = job.tagBatches * this.tagBatchSize;
+    await chrome.storage.local.set({ [this.tagsKey(job, job.tagBatches)]: job.tagged.slice(start, start + this.tagBatchSize) });
+    job.tagBatches++;
+  }
+
+  async removeTagBatches(job) {
+    const batches = Math.ceil((job.toSave?.length || 0) / this.tagBatchSize);
+    const keys = Array.from({ length: batches }, (_, batch) => this.tagsKey(job, batch));
+    if (keys.length > 0) await chrome.storage.local.remove(keys);
+  }
+
+  // A finished job only needs what its summary shows and the results
+  async removeDetails(job) {
+    await this.removeTagBatches(job);
+    await chrome.storage.local.remove(this.tabsKey(job));
+    job.tabs = null;
+    job.toSave = null;
+    job.tagged = [];
+  }
+
+  // Snapshot the tabs of the save and run them through the filter rules, unless the user picked them
+  async collectTabs(job) {
+    const query = job.scope === 'tab' ? { active: true, windowId: job.windowId }
+      : job.scope === 'window' ? { windowId: job.windowId }
+      : {};
+    const tabs = await chrome.tabs.query(query);
+    if (tabs.length === 0) {
+      throw new Error(job.scope === 'tab' ? 'No active tab found' : 'No tabs found');
+    }
+
+    job.tabs = tabs.map(tab => ({
+      id: tab.id,
+      url: tab.url,
+      title: tab.title,
+      windowId: tab.windowId,
+      index: tab.index,
+      active: tab.active,
+      pinned: tab.pinned,
+      audible: tab.audible
+    }));
+
+    if (job.tabIds) {
+      const picked = new Set(job.tabIds);
+      job.toSave = job.tabs.filter(tab => picked.has(tab.id));
+    } else {
+      const filterResult = await this.filter.filterTabs(job.tabs);
+      job.toSave = filterResult.filtered;
+      job.filter = {
+        originalCount: filterResult.originalCount,
+        filteredCount: filterResult.filteredCount,
+        duplicatesRemoved: filterResult.duplicatesRemoved,
+        rulesRemoved: filterResult.rulesRemoved
+      };
+
+      if (job.scope === 'tab' && job.toSave.length === 0) {
+        const rule = filterResult.skipped[0]?.rule;
+        throw new Error(rule ? `Current tab was filtered out by the rule: ${this.filter.describeRule(rule)}` : 'Browser pages are not saved');
+      }
+    }
+
+    job.progress = { done: 0, total: job.toSave.length };
+  }
+
+  // Only tabs still open are closed: the user may have closed some while the job ran, and on resume
+  // the snapshot can be out of date
+  async closeSavedTabs(job) {
+    const openIds = new Set((await chrome.tabs.query({})).map(tab => tab.id));
+    const keep = job.options.keepPinnedAudible;
+    const closable = this.closer.closableTabs(job.tabs.filter(tab => openIds.has(tab.id)), job.results, { keepPinned: keep, keepAudible: keep });
+
+    return (await this.closer.closeTabs(closable)).closed;
+  }
+
+  // Resolves with the error message when the download failed, null otherwise. A service worker has no
+  // blob URLs, so the file goes out as a data URL
+  async download(tabs) {
+    const { content, filename } = this.formatTabs(tabs);
+
+    try {
+      await chrome.downloads.download({
+        url: `data:application/json;charset=utf-8,${encodeURIComponent(content)}`,
+        filename: filename,
+        saveAs: true
+      });
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  formatTabs(tabs) {
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+
+    const jsonData = {
+      exportDate: new Date().toISOString(),
+      tabs: tabs.map(tab => ({
+        title: tab.title,
+        url: tab.url,
+        windowId: tab.windowId,
+        index: tab.index,
+        active: tab.active,
+        pinned: tab.pinned,
+        contentTags: tab.contentTags || null
+      }))
+    };
+    return {
+      content: JSON.stringify(jsonData, null, 2),
+      filename: `fomo-tabs-${timestamp}.json`
+    };
+  }
+
+  // Store the job (moving it to status, if given) and tell open pages about it
+  async update(job, status = job.status) {
+    job.status = status;
+    job.updatedAt = new Date().toISOString();
+    await chrome.storage.local.set({ [this.storageKey]: (await this.getJobs()).map(entry => this.storedJob(entry)) });
+
+    const summary = this.summary(job);
+    this.listeners.forEach(listener => listener(summary));
+    // Rejects when no extension page is open to listen, which is fine
+    chrome.runtime.sendMessage({ action: 'saveJobUpdate', job: summary }).catch(() => {});
+  }
+
+  onUpdate(listener) {
+    this.listeners.push(listener);
+  }
+
+  async pruneFinished() {
+    const jobs = await this.getJobs();
+    const finished = jobs.filter(job => this.isFinished(job));
+    const dropped = new Set(finished.slice(0, Math.max(0, finished.length - this.keepFinished)));
+    if (dropped.size === 0) return;
+
+    this.jobs = jobs.filter(job => !dropped.has(job));
+    await chrome.storage.local.set({ [this.storageKey]: this.jobs.map(job => this.storedJob(job)) });
+  }
+
+  // The part of a job kept under saveJobs; tabs and tags have keys of their own
+  storedJob(job) {
+    const { tabs, toSave, tagged, ...stored } = job;
+    return stored;
+  }
+
+  // What pages get to see of a job: no tab lists or tags
+  summary(job) {
+    return {
+      id: job.id,
+      scope: job.scope,
+      source: job.source,
+      status: job.status,
+      progress: job.progress,
+      filter: job.filter,
+      results: job.results ? { saved: job.results.saved, updated: job.results.updated, skipped: job.results.skipped } : null,
+      downloaded: job.options.download && job.status === 'done' && !job.downloadError,
+      downloadError: job.downloadError,
+      closed: job.closed,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+}
+
+// Create global instance
+const saveJobs = new SaveJobs(tabStorage, contentTagger, tabFilter, tabCloser);
@@ -0,0 +1,241 @@
+// search-index.js - Persistent inverted index over saved URLs with BM25 ranking
+
+// Postings are stored as { term, url, tf, docLength } under the key [term, url].
+// A single stats record under [SEARCH_STATS_TERM, SEARCH_STATS_TERM] keeps document count and total length.
+const SEARCH_STATS_TERM = '';
+
+class SearchIndex {
+  constructor(storeName) {
+    this.storeName = storeName;
+
+    // How much a term counts depending on the field it came from
+    this.fieldWeights = {
+      title: 3,
+      tags: 2,
+      categories: 2,
+      author: 2,
+      notes: 2,
+      description: 1,
+      domain: 1,
+      path: 1
+    };
+
+    // BM25 parameters
+    this.k1 = 1.2;
+    this.b = 0.75;
+    this.prefixPenalty = 0.5; // Score multiplier for prefix matches compared to exact terms
+
+    // Only English function words: URL and technology words such as php, html or www are searched for
+    this.stopWords = new Set([
+      'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'was', 'our', 'how', 'what',
+      'this', 'that', 'with', 'from', 'they', 'an', 'as', 'at', 'be', 'by', 'do', 'in', 'is', 'it',
+      'of', 'on', 'or', 'to'
+    ]);
+  }
+
+  // Create the object store; called from onupgradeneeded
+  createStore(db) {
+    const searchStore = db.createObjectStore(this.storeName, { keyPath: ['term', 'url'] });
+    searchStore.createIndex('url', 'url', { unique: false });
+    return searchStore;
+  }
+
+  // Split text into lowercase word tokens, accents removed
+  tokenize(text, minLength = 2) {
+    if (!text) return [];
+
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token.length >= minLength && !this.stopWords.has(token));
+  }
+
+  // Weighted term frequencies of one URL record
+  extractTerms(record) {
+    let path = '';
+    try {
+      const urlObj = new URL(record.url);
+      path = `${urlObj.pathname} ${urlObj.search}`;
+    } catch (error) {
+      path = record.url;
+    }
+
+    // User edits are searchable next to the generated values they override
+    const user = record.user || {};
+    const removedTags = new Set(user.removedTags || []);
+
+    const fields = {
+      title: [record.title, user.customTitle].filter(Boolean).join(' '),
+      tags: [...(record.tags || []).filter(tag => !removedTags.has(tag)), ...(user.addedTags || [])].join(' '),
+      categories: [...(record.categories || []), ...(user.categoryOverride || [])].join(' '),
+      notes: user.notes,
+      author: record.author,
+      description: record.description,
+      domain: record.domain,
+      path: path
+    };
+
+    const terms = new Map();
+    let docLength = 0;
+
+    Object.entries(fields).forEach(([field, text]) => {
+      const weight = this.fieldWeights[field];
+      this.tokenize(text).forEach(token => {
+        terms.set(token, (terms.get(token) || 0) + weight);
+        docLength += weight;
+      });
+    });
+
+    return { terms, docLength };
+  }
+
+  // Replace the postings of one URL; pass null as record to remove it. Runs inside the caller's
+  // transaction, and calls for several URLs must be awaited one after another (they share the stats record).
+  // extracted can bring the terms computed elsewhere, e.g. the blind hashes of an encrypted library
+  async update(transaction, url, record, extracted = record && this.extractTerms(record)) {
+    const store = transaction.objectStore(this.storeName);
+
+    const [oldPostings, storedStats] = await Promise.all([
+      this.requestResult(store.index('url').getAll(url)),
+      this.requestResult(store.get([SEARCH_STATS_TERM, SEARCH_STATS_TERM]))
+    ]);
+    const stats = storedStats || this.emptyStats();
+
+    if (oldPostings.length > 0) {
+      stats.docCount--;
+      stats.totalLength -= oldPostings[0].docLength;
+      oldPostings.forEach(posting => store.delete([posting.term, posting.url]));
+    }
+
+    if (extracted) {
+      const { terms, docLength } = extracted;
+      terms.forEach((tf, term) => store.put({ term, url, tf, docLength }));
+      stats.docCount++;
+      stats.totalLength += docLength;
+    }
+
+    store.put(stats);
+  }
+
+  // Index every record of the urls store from scratch; used on upgrade and by rebuild.
+  // Resolves once the last posting has been queued
+  build(transaction, urlStoreName) {
+    const searchStore = transaction.objectStore(this.storeName);
+    const stats = this.emptyStats();
+
+    searchStore.clear();
+
+    return new Promise((resolve, reject) => {
+      const request = transaction.objectStore(urlStoreName).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          searchStore.put(stats);
+          resolve();
+          return;
+        }
+
+        const { terms, docLength } = this.extractTerms(cursor.value);
+        terms.forEach((tf, term) => searchStore.put({ term, url: cursor.value.url, tf, docLength }));
+        stats.docCount++;
+        stats.totalLength += docLength;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Index documents ({ url, terms, docLength }) whose terms were extracted beforehand, from scratch
+  buildFrom(transaction, documents) {
+    const searchStore = transaction.objectStore(this.storeName);
+    const stats = this.emptyStats();
+
+    searchStore.clear();
+    documents.forEach(({ url, terms, docLength }) => {
+      terms.forEach((tf, term) => searchStore.put({ term, url, tf, docLength }));
+      stats.docCount++;
+      stats.totalLength += docLength;
+    });
+    searchStore.put(stats);
+  }
+
+  // Words of a query that can be looked up; empty when it holds nothing but stop words and
+  // punctuation, which the caller then has to match some other way
+  queryTerms(query) {
+    return [...new Set(this.tokenize(query, 1))];
+  }
+
+  // Rank URLs for a query; every query word has to match a term exactly or as a prefix.
+  // options.terms replaces the tokenized query and options.exact turns prefix matching off,
+  // for indexes of hashed terms
+  async search(transaction, query, options = {}) {
+    const queryTerms = options.terms || this.queryTerms(query);
+    if (queryTerms.length === 0) return [];
+
+    const store = transaction.objectStore(this.storeName);
+    const stats = (await this.requestResult(store.get([SEARCH_STATS_TERM, SEARCH_STATS_TERM]))) || this.emptyStats();
+    if (stats.docCount === 0) return [];
+
+    const averageLength = stats.totalLength / stats.docCount || 1;
+    const scores = new Map();
+
+    for (const [position, queryTerm] of queryTerms.entries()) {
+      const range = options.exact
+        ? IDBKeyRange.bound([queryTerm], [queryTerm, []])
+        : IDBKeyRange.bound([queryTerm], [queryTerm + '\uffff'], false, true);
+      const postings = await this.requestResult(store.getAll(range));
+
+      // Document frequency of each indexed term that starts with the query word
+      const documentFrequency = new Map();
+      postings.forEach(posting => {
+        documentFrequency.set(posting.term, (documentFrequency.get(posting.term) || 0) + 1);
+      });
+
+      // Keep the best matching term per document so a short prefix doesn't add up hundreds of terms
+      const termScores = new Map();
+      postings.forEach(posting => {
+        const df = documentFrequency.get(posting.term);
+        const idf = Math.log(1 + (stats.docCount - df + 0.5) / (df + 0.5));
+        const tfNorm = (posting.tf * (this.k1 + 1)) /
+          (posting.tf + this.k1 * (1 - this.b + this.b * posting.docLength / averageLength));
+        const score = idf * tfNorm * (posting.term === queryTerm ? 1 : this.prefixPenalty);
+
+        termScores.set(posting.url, Math.max(termScores.get(posting.url) || 0, score));
+      });
+
+      if (position === 0) {
+        termScores.forEach((score, url) => scores.set(url, score));
+      } else {
+        // AND semantics: drop documents that miss this query word
+        scores.forEach((score, url) => {
+          if (termScores.has(url)) {
+            scores.set(url, score + termScores.get(url));
+          } else {
+            scores.delete(url);
+          }
+        });
+      }
+
+      if (scores.size === 0) break;
+    }
+
+    const ranked = Array.from(scores.entries())
+      .sort(([, a], [, b]) => b - a)
+      .map(([url, score]) => ({ url, score }));
+
+    return options.limit ? ranked.slice(0, options.limit) : ranked;
+  }
+
+  emptyStats() {
+    return { term: SEARCH_STATS_TERM, url: SEARCH_STATS_TERM, docCount: 0, totalLength: 0 };
+  }
+
+  requestResult(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
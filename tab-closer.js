@@ -0,0 +1,79 @@
+// tab-closer.js - Close tabs once their URLs are saved, and reopen them on undo
+
+// The last closed batch is kept in chrome.storage.session as { closedAt, tabs }, so the undo survives
+// the popup closing along with the active tab, but not a browser restart
+class TabCloser {
+  constructor(restorer) {
+    this.restorer = restorer;
+    this.storageKey = 'lastClosedTabs';
+    this.undoMinutes = 10; // How long the last closed batch can be reopened
+  }
+
+  // Tabs of a save run that may be closed: only those whose URL the save reports as written, 'new' or
+  // 'updated' (results from TabStorage.saveUrls). A tab skipped by the rules, a failed write or a
+  // duplicate in the batch whose own URL was not stored stays open
+  closableTabs(tabs, results, options = {}) {
+    const written = new Set(results.urls.filter(entry => entry.status === 'new' || entry.status === 'updated').map(entry => entry.url));
+
+    return tabs.filter(tab => {
+      if (typeof tab.id !== 'number' || !written.has(tab.url)) return false;
+      if (options.keepPinned && tab.pinned) return false;
+      if (options.keepAudible && tab.audible) return false;
+      return true;
+    });
+  }
+
+  // Remember the tabs for undo, then close them. A window that would lose its last tab gets a new
+  // empty one first, so closing never closes a window
+  async closeTabs(tabs) {
+    if (tabs.length === 0) return { closed: 0 };
+
+    const closingIds = new Set(tabs.map(tab => tab.id));
+    const windowIds = [...new Set(tabs.map(tab => tab.windowId))];
+    for (const windowId of windowIds) {
+      const windowTabs = await chrome.tabs.query({ windowId });
+      if (windowTabs.every(tab => closingIds.has(tab.id))) {
+        await chrome.tabs.create({ windowId, active: false });
+      }
+    }
+
+    await chrome.storage.session.set({
+      [this.storageKey]: {
+        closedAt: new Date().toISOString(),
+        tabs: tabs.map(tab => ({
+          url: tab.url,
+          title: tab.title,
+          windowId: tab.windowId,
+          index: tab.index,
+          pinned: !!tab.pinned
+        }))
+      }
+    });
+    await chrome.tabs.remove([...closingIds]);
+
+    return { closed: closingIds.size };
+  }
+
+  // The last closed batch while it can still be reopened, or null
+  async getLastClosed() {
+    const batch = (await chrome.storage.session.get(this.storageKey))[this.storageKey];
+    if (!batch) return null;
+
+    const age = Date.now() - new Date(batch.closedAt).getTime();
+    return age <= this.undoMinutes * 60 * 1000 ? batch : null;
+  }
+
+  // Reopen the last closed batch once; returns TabRestorer's results
+  async reopenLastClosed() {
+    const batch = await this.getLastClosed();
+    if (!batch) {
+      throw new Error('There are no recently closed tabs to reopen');
+    }
+
+    await chrome.storage.session.remove(this.storageKey);
+    return this.restorer.reopenTabs(batch.tabs);
+  }
+}
+
+// Create global instance
+const tabCloser = new TabCloser(tabRestorer);
@@ -0,0 +1,203 @@
+// tab-filter.js - User-configurable rules that decide which tabs a save keeps
+
+// Rules are stored in chrome.storage.local under filterRules as { version, rules }. A rule is
+// { id, action, type, pattern, priority, enabled }:
+//   action   'keep' (always keep, beats every other rule), 'allow' or 'deny'
+//   type     'domain' (the host or any subdomain of it), 'glob' (* and ? against the URL, with or
+//            without its scheme), 'regex' (against the URL) or 'title' (regex against the tab title)
+//   priority higher runs first; among equal priorities the earlier rule wins
+// The first matching rule decides, and a tab no rule matches is kept. Matching ignores case.
+class TabFilter {
+  constructor() {
+    this.storageKey = 'filterRules';
+    this.version = 1;
+    this.actions = ['keep', 'allow', 'deny'];
+    this.ruleTypes = ['domain', 'glob', 'regex', 'title'];
+    this.browserPagePattern = /^(chrome|chrome-extension|edge|about|devtools):/i; // Never saved, whatever the rules say
+    // Sign-in pages and searches, matched on whole path segments and hosts rather than anywhere in the
+    // URL or title, so an article about resetting a password is still saved
+    this.defaultRules = [
+      { action: 'deny', type: 'domain', pattern: 'accounts.google.com' },
+      { action: 'deny', type: 'domain', pattern: 'login.microsoftonline.com' },
+      { action: 'deny', type: 'domain', pattern: 'auth.openai.com' },
+      { action: 'deny', type: 'regex', pattern: '^https?://(login|signin|auth|sso)\\.' },
+      { action: 'deny', type: 'regex', pattern: '^https?://[^/]+/([^?#]*/)?(login|log-in|signin|sign-in|signup|sign-up|register|oauth2?|sso|authorize|forgot-password|reset-password|2fa|mfa)(/|[?#]|$)' },
+      { action: 'deny', type: 'title', pattern: '^(sign in|sign up|log in|login|register|create (an )?account)\\b' },
+      { action: 'deny', type: 'glob', pattern: '*google.com/search*' },
+      { action: 'deny', type: 'domain', pattern: 'stackoverflow.com' }
+    ].map((rule, position) => ({ id: `default-${position + 1}`, priority: 0, enabled: true, ...rule }));
+  }
+
+  // Stored rules, or the defaults until the user saves their own
+  async getRules() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return this.defaultRules.map(rule => ({ ...rule }));
+
+    const stored = (await chrome.storage.local.get(this.storageKey))[this.storageKey];
+    if (!stored || !Array.isArray(stored.rules)) return this.defaultRules.map(rule => ({ ...rule }));
+    return stored.rules;
+  }
+
+  // Check and store a whole rule list; returns the normalized rules
+  async saveRules(rules) {
+    const normalized = rules.map(rule => this.normalizeRule(rule));
+    await chrome.storage.local.set({ [this.storageKey]: { version: this.version, rules: normalized } });
+    return normalized;
+  }
+
+  async resetRules() {
+    await chrome.storage.local.remove(this.storageKey);
+    return this.getRules();
+  }
+
+  // Throws on a rule that can't be used, so a bad pattern is reported when it is saved
+  normalizeRule(rule) {
+    if (!this.actions.includes(rule.action)) {
+      throw new Error(`Unknown rule action "${rule.action}", use ${this.actions.join(', ')}`);
+    }
+    if (!this.ruleTypes.includes(rule.type)) {
+      throw new Error(`Unknown rule type "${rule.type}", use ${this.ruleTypes.join(', ')}`);
+    }
+
+    let pattern = typeof rule.pattern === 'string' ? rule.pattern.trim() : '';
+    if (!pattern) {
+      throw new Error('A rule needs a pattern');
+    }
+    if (rule.type === 'domain') {
+      pattern = pattern.toLowerCase().replace(/^\*\./, '');
+      if (!/^[a-z0-9.-]+$/.test(pattern)) {
+        throw new Error(`"${rule.pattern}" is not a domain, use a URL glob or regex for paths`);
+      }
+    }
+    if (rule.type === 'regex' || rule.type === 'title') {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new Error(`Invalid pattern "${pattern}": ${error.message}`);
+      }
+    }
+
+    const priority = Number(rule.priority ?? 0);
+    if (!Number.isFinite(priority)) {
+      throw new Error(`Priority of "${pattern}" must be a number`);
+    }
+
+    return {
+      id: rule.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      action: rule.action,
+      type: rule.type,
+      pattern: pattern,
+      priority: priority,
+      enabled: rule.enabled !== false
+    };
+  }
+
+  // Enabled rules in the order they are tried, each with a test(tab) function
+  compileRules(rules) {
+    const ranked = rules
+      .map((rule, position) => ({ rule, position }))
+      .filter(({ rule }) => rule.enabled !== false)
+      .sort((a, b) => {
+        const aKeep = a.rule.action === 'keep' ? 1 : 0;
+        const bKeep = b.rule.action === 'keep' ? 1 : 0;
+        return (bKeep - aKeep) || ((b.rule.priority || 0) - (a.rule.priority || 0)) || (a.position - b.position);
+      });
+
+    return ranked.map(({ rule }) => {
+      try {
+        return { rule, test: this.ruleTest(rule) };
+      } catch (error) {
+        // Stored before it broke, e.g. edited by hand; it can't match anything
+        console.warn(`Skipping filter rule "${rule.pattern}":`, error);
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  ruleTest(rule) {
+    if (rule.type === 'domain') {
+      const domain = rule.pattern.toLowerCase();
+      return ({ host }) => host === domain || host.endsWith(`.${domain}`);
+    }
+    if (rule.type === 'glob') {
+      const source = rule.pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+      const glob = new RegExp(`^${source}$`, 'i');
+      return ({ url }) => glob.test(url) || glob.test(url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, ''));
+    }
+
+    const regex = new RegExp(rule.pattern, 'i');
+    if (rule.type === 'title') {
+      return ({ title }) => regex.test(title);
+    }
+    return ({ url }) => regex.test(url);
+  }
+
+  // Which rule decides a tab: { keep, reason, rule }. reason is 'browser-page', 'rule' or 'default'
+  checkTab(tab, compiled) {
+    const url = tab.url || '';
+    if (!url || this.browserPagePattern.test(url)) {
+      return { keep: false, reason: 'browser-page', rule: null };
+    }
+
+    let host = '';
+    try {
+      host = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      // Not a URL; only glob and regex rules can match it
+    }
+
+    const subject = { url, host, title: tab.title || '' };
+    const match = compiled.find(({ test }) => test(subject));
+    if (!match) return { keep: true, reason: 'default', rule: null };
+    return { keep: match.rule.action !== 'deny', reason: 'rule', rule: match.rule };
+  }
+
+  // Verdict for every tab, in order: { tab, keep, reason, rule }. Besides checkTab's reasons, a
+  // repeated URL gets 'duplicate'
+  async reviewTabs(tabs) {
+    const compiled = this.compileRules(await this.getRules());
+    const seen = new Set();
+
+    return tabs.map(tab => {
+      if (seen.has(tab.url)) {
+        return { tab, keep: false, reason: 'duplicate', rule: null };
+      }
+      seen.add(tab.url);
+      return { tab, ...this.checkTab(tab, compiled) };
+    });
+  }
+
+  // Drop duplicate URLs, browser pages and tabs the rules deny. Every save path goes through here
+  async filterTabs(tabs) {
+    const verdicts = await this.reviewTabs(tabs);
+    const filtered = verdicts.filter(verdict => verdict.keep).map(verdict => verdict.tab);
+    const skipped = verdicts
+      .filter(verdict => !verdict.keep && verdict.reason !== 'duplicate')
+      .map(({ tab, reason, rule }) => ({ tab, reason, rule }));
+
+    return {
+      filtered: filtered,
+      skipped: skipped,
+      originalCount: tabs.length,
+      filteredCount: filtered.length,
+      duplicatesRemoved: verdicts.filter(verdict => verdict.reason === 'duplicate').length,
+      rulesRemoved: skipped.length
+    };
+  }
+
+  // Why a tab is saved or skipped, for people
+  describeVerdict(verdict) {
+    if (verdict.reason === 'duplicate') return 'Duplicate of an earlier tab';
+    if (verdict.reason === 'browser-page') return 'Browser page, never saved';
+    if (verdict.reason === 'default') return 'No rule matches';
+    return this.describeRule(verdict.rule);
+  }
+
+  describeRule(rule) {
+    const types = { domain: 'domain', glob: 'URL', regex: 'URL regex', title: 'title' };
+    const actions = { keep: 'Always keep', allow: 'Allow', deny: 'Skip' };
+    return `${actions[rule.action]} ${types[rule.type]} "${rule.pattern}"`;
+  }
+}
+
+// Create global instance
+const tabFilter = new TabFilter();
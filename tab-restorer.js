@@ -0,0 +1,173 @@
+// tab-restorer.js - Reopen saved sessions and URL selections as browser tabs
+
+class TabRestorer {
+  constructor() {
+    this.discardTimeout = 5000; // Max wait for a new tab to commit its URL before discarding
+  }
+
+  // Restore every window of a session snapshot with its original order and pinned state
+  async restoreSession(session, options = {}) {
+    return this.restoreWindows(session.windows, options);
+  }
+
+  // Restore a flat list of saved URL records (e.g. a filtered selection) as one window
+  async restoreUrls(urlRecords, options = {}) {
+    const tabs = urlRecords.map((record, index) => ({
+      url: record.visitedUrl || record.url,
+      title: record.title,
+      index: index,
+      pinned: false,
+      active: false
+    }));
+
+    return this.restoreWindows([{ tabs }], options);
+  }
+
+  // Recreate saved windows; tabs are discarded right after creation so they load lazily
+  async restoreWindows(savedWindows, options = {}) {
+    const intoCurrentWindow = options.intoCurrentWindow || false;
+    const lazy = options.lazy !== false;
+
+    const results = {
+      windows: 0,
+      tabs: 0,
+      errors: []
+    };
+
+    const currentWindow = intoCurrentWindow ? await chrome.windows.getCurrent() : null;
+
+    for (const savedWindow of savedWindows) {
+      const tabs = [...savedWindow.tabs].sort((a, b) => a.index - b.index);
+      if (tabs.length === 0) continue;
+
+      let windowId;
+      let placeholderTabId = null;
+
+      if (currentWindow) {
+        windowId = currentWindow.id;
+      } else {
+        const newWindow = await chrome.windows.create({ focused: results.windows === 0 });
+        windowId = newWindow.id;
+        placeholderTabId = newWindow.tabs?.[0]?.id ?? null;
+        results.windows++;
+      }
+
+      const activeTab = tabs.find(tab => tab.active) || tabs[0];
+      let activeTabId = null;
+
+      for (const tab of tabs) {
+        try {
+          const created = await chrome.tabs.create({
+            windowId: windowId,
+            url: tab.url,
+            pinned: !!tab.pinned,
+            active: false
+          });
+          results.tabs++;
+
+          if (tab === activeTab && !currentWindow) {
+            activeTabId = created.id;
+          } else if (lazy) {
+            await this.discardWhenReady(created.id);
+          }
+        } catch (error) {
+          results.errors.push({ url: tab.url, error: error.message });
+        }
+      }
+
+      // Show the tab that was active at save time and drop the new window's blank tab
+      if (activeTabId !== null) {
+        await chrome.tabs.update(activeTabId, { active: true });
+      }
+      if (placeholderTabId !== null) {
+        await chrome.tabs.remove(placeholderTabId);
+      }
+    }
+
+    return results;
+  }
+
+  // Put closed tabs back where they were: at their old position while their window is still open,
+  // otherwise in a new window
+  async reopenTabs(closedTabs, options = {}) {
+    const lazy = options.lazy !== false;
+    const results = {
+      windows: 0,
+      tabs: 0,
+      errors: []
+    };
+
+    const byWindow = new Map();
+    closedTabs.forEach(tab => {
+      if (!byWindow.has(tab.windowId)) byWindow.set(tab.windowId, []);
+      byWindow.get(tab.windowId).push(tab);
+    });
+
+    for (const [windowId, tabs] of byWindow) {
+      const windowOpen = await chrome.windows.get(windowId).then(() => true, () => false);
+      if (!windowOpen) {
+        const restored = await this.restoreWindows([{ tabs }], options);
+        results.windows += restored.windows;
+        results.tabs += restored.tabs;
+        results.errors.push(...restored.errors);
+        continue;
+      }
+
+      // Lowest index first, so every tab lands on its old position
+      for (const tab of [...tabs].sort((a, b) => a.index - b.index)) {
+        try {
+          const created = await chrome.tabs.create({
+            windowId: windowId,
+            index: tab.index,
+            url: tab.url,
+            pinned: !!tab.pinned,
+            active: false
+          });
+          results.tabs++;
+          if (lazy) await this.discardWhenReady(created.id);
+        } catch (error) {
+          results.errors.push({ url: tab.url, error: error.message });
+        }
+      }
+    }
+
+    return results;
+  }
+
+  // Discard a freshly created tab once it knows its URL, otherwise the tab would be restored blank
+  async discardWhenReady(tabId) {
+    await new Promise(resolve => {
+      const timer = setTimeout(done, this.discardTimeout);
+
+      function done() {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(onUpdated);
+        resolve();
+      }
+
+      function onUpdated(updatedTabId, changeInfo) {
+        if (updatedTabId === tabId && (changeInfo.url || changeInfo.status === 'loading')) {
+          done();
+        }
+      }
+
+      chrome.tabs.onUpdated.addListener(onUpdated);
+
+      // The URL may already be committed before the listener was attached
+      chrome.tabs.get(tabId)
+        .then(tab => {
+          if (tab.url && !tab.pendingUrl) done();
+        })
+        .catch(done);
+    });
+
+    try {
+      await chrome.tabs.discard(tabId);
+    } catch (error) {
+      console.warn(`Could not discard restored tab ${tabId}:`, error);
+    }
+  }
+}
+
+// Create global instance
+const tabRestorer = new TabRestorer();
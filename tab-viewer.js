@@ -1,35 +1,111 @@
 class TabViewer {
     constructor() {
-        this.tabData = [];
+        this.tabData = []; // Pages loaded so far for the current category/domain filter
         this.filteredData = [];
+        this.pageSize = 200;
+        this.nextPageToken = null;
+        this.totalUrls = 0;
         this.currentSort = { field: 'lastSeen', direction: 'desc' };
+        this.sortedByUser = false; // A clicked column sort, kept when the lists change
+        this.sessions = [];
+        this.activeSession = null;
+        this.sessionRecords = null; // Records of the selected session, in tab order
+        this.statsPeriod = 12; // Weeks covered by the time-based stats
+        this.collections = [];
+        this.collectionCounts = {};
+        this.activeCollection = null; // Id of the collection picked in the sidebar, null for all URLs
+        this.trashEntries = [];
+        this.trashListLimit = 200; // Entries rendered in the trash panel; bulk actions cover all of them
+        this.undoTimer = null;
+        this.searchResults = null; // Ranked matches from the search index, null when not searching
+        this.searchTimer = null;
+        this.searchSequence = 0;
         this.tabStorage = new TabStorage();
+        this.tabRestorer = new TabRestorer();
+        this.libraryImporter = new LibraryImporter(this.tabStorage, contentTagger);
+        this.libraryBackup = new LibraryBackup(this.tabStorage);
+        this.librarySync = new LibrarySync(this.tabStorage);
+        this.syncStarted = false; // The sync-on-open runs once per page, not on every reload
+        this.changeQueue = Promise.resolve(); // Changes from other pages, applied one at a time
         
         this.initializeElements();
         this.bindEvents();
         this.loadFromIndexedDB();
+
+        // Only a page can ask for persistent storage, so the viewer asks once when it opens
+        this.tabStorage.requestPersistentStorage().catch(error => console.warn('Could not request persistent storage:', error));
+
+        this.tabStorage.onChange(change => {
+            this.changeQueue = this.changeQueue
+                .then(() => this.applyLibraryChange(change))
+                .catch(error => console.error('Error applying a library change:', error));
+        });
     }
 
     initializeElements() {
         this.searchInput = document.getElementById('searchInput');
         this.categoryFilter = document.getElementById('categoryFilter');
         this.domainFilter = document.getElementById('domainFilter');
+        this.readingFilter = document.getElementById('readingFilter');
+        this.sessionFilter = document.getElementById('sessionFilter');
+        this.sessionInfo = document.getElementById('sessionInfo');
         this.totalCount = document.getElementById('totalCount');
         this.filteredCount = document.getElementById('filteredCount');
         this.loadingMessage = document.getElementById('loadingMessage');
         this.noDataMessage = document.getElementById('noDataMessage');
         this.tabTable = document.getElementById('tabTable');
         this.tabTableBody = document.getElementById('tabTableBody');
+        this.loadMoreBtn = document.getElementById('loadMoreBtn');
+        this.partialSortNote = document.getElementById('partialSortNote');
         this.statsContainer = document.getElementById('statsContainer');
         this.refreshBtn = document.getElementById('refreshBtn');
         this.exportBtn = document.getElementById('exportBtn');
+        this.restoreBtn = document.getElementById('restoreBtn');
+        this.importBtn = document.getElementById('importBtn');
+        this.importFileInput = document.getElementById('importFileInput');
+        this.restoreIntoCurrent = document.getElementById('restoreIntoCurrent');
         this.clearBtn = document.getElementById('clearBtn');
+        this.starredOnly = document.getElementById('starredOnly');
+        this.collectionSidebar = document.getElementById('collectionSidebar');
+        this.trashBtn = document.getElementById('trashBtn');
+        this.trashPanel = document.getElementById('trashPanel');
+        this.retentionBtn = document.getElementById('retentionBtn');
+        this.retentionPanel = document.getElementById('retentionPanel');
+        this.encryptionBtn = document.getElementById('encryptionBtn');
+        this.encryptionPanel = document.getElementById('encryptionPanel');
+        this.backupBtn = document.getElementById('backupBtn');
+        this.backupPanel = document.getElementById('backupPanel');
+        this.syncBtn = document.getElementById('syncBtn');
+        this.syncPanel = document.getElementById('syncPanel');
+        this.syncStatus = document.getElementById('syncStatus');
+        this.lockScreen = document.getElementById('lockScreen');
+        this.lockForm = document.getElementById('lockForm');
+        this.lockPassphrase = document.getElementById('lockPassphrase');
+        this.lockError = document.getElementById('lockError');
+        this.undoToast = document.getElementById('undoToast');
     }
 
     bindEvents() {
-        this.searchInput.addEventListener('input', () => this.applyFilters());
-        this.categoryFilter.addEventListener('change', () => this.applyFilters());
-        this.domainFilter.addEventListener('change', () => this.applyFilters());
+        this.searchInput.addEventListener('input', () => this.scheduleSearch());
+        this.categoryFilter.addEventListener('change', () => this.reloadPages());
+        this.domainFilter.addEventListener('change', () => this.reloadPages());
+        this.readingFilter.addEventListener('change', () => this.reloadPages());
+        this.loadMoreBtn.addEventListener('click', () => this.loadNextPage());
+        this.sessionFilter.addEventListener('change', () => this.selectSession(this.sessionFilter.value));
+        this.starredOnly.addEventListener('change', () => this.reloadPages());
+
+        // Inline editing in the table
+        this.tabTableBody.addEventListener('click', (e) => this.handleRowClick(e));
+        this.tabTableBody.addEventListener('keydown', (e) => this.handleRowKeydown(e));
+        this.tabTableBody.addEventListener('focusout', (e) => this.handleRowFocusOut(e));
+        this.tabTableBody.addEventListener('change', (e) => this.handleRowChange(e));
+        this.tabTableBody.addEventListener('click', (e) => this.handleLinkOpen(e));
+        this.tabTableBody.addEventListener('auxclick', (e) => this.handleLinkOpen(e));
+
+        // Collection sidebar
+        this.collectionSidebar.addEventListener('click', (e) => this.handleCollectionAction(e));
+        this.collectionSidebar.addEventListener('change', (e) => this.handleCollectionChange(e));
+        this.collectionSidebar.addEventListener('submit', (e) => this.createCollection(e));
         
         if (this.refreshBtn) {
             this.refreshBtn.addEventListener('click', () => this.loadFromIndexedDB());
@@ -39,10 +115,48 @@ class TabViewer {
             this.exportBtn.addEventListener('click', () => this.exportData());
         }
         
+        if (this.importBtn) {
+            this.importBtn.addEventListener('click', () => this.importFileInput.click());
+            this.importFileInput.addEventListener('change', () => this.importFiles(this.importFileInput.files));
+        }
+        
+        if (this.restoreBtn) {
+            this.restoreBtn.addEventListener('click', () => this.restoreFiltered());
+        }
+        
         if (this.clearBtn) {
             this.clearBtn.addEventListener('click', () => this.clearAllData());
         }
 
+        if (this.trashBtn) {
+            this.trashBtn.addEventListener('click', () => this.toggleTrash());
+            this.trashPanel.addEventListener('click', (e) => this.handleTrashAction(e));
+        }
+
+        if (this.retentionBtn) {
+            this.retentionBtn.addEventListener('click', () => this.toggleRetention());
+            this.retentionPanel.addEventListener('click', (e) => this.handleRetentionAction(e));
+        }
+
+        if (this.encryptionBtn) {
+            this.encryptionBtn.addEventListener('click', () => this.toggleEncryption());
+            this.encryptionPanel.addEventListener('click', (e) => this.handleEncryptionAction(e));
+        }
+
+        if (this.backupBtn) {
+            this.backupBtn.addEventListener('click', () => {
+                this.backupPanel.style.display = this.backupPanel.style.display === 'block' ? 'none' : 'block';
+            });
+            this.backupPanel.addEventListener('click', (e) => this.handleBackupAction(e));
+        }
+
+        if (this.syncBtn) {
+            this.syncBtn.addEventListener('click', () => this.toggleSync());
+            this.syncPanel.addEventListener('click', (e) => this.handleSyncAction(e));
+        }
+
+        this.lockForm.addEventListener('submit', (e) => this.unlockLibrary(e));
+
         // Bind sort events
         document.querySelectorAll('[data-sort]').forEach(header => {
             header.addEventListener('click', (e) => {
@@ -57,27 +171,319 @@ class TabViewer {
         
         try {
             await this.tabStorage.init();
-            this.tabData = await this.tabStorage.getAllUrls({ sortBy: 'lastSeen', sortOrder: 'desc' });
+            if (this.tabStorage.isLocked()) {
+                this.showLockScreen();
+                return;
+            }
+
+            // Runs alongside the load and reloads the page once it pulled anything
+            this.syncOnOpen().catch(error => console.warn('Could not start the sync:', error));
+            this.totalUrls = await this.tabStorage.countUrls();
+            await this.loadCollections();
             
-            if (this.tabData.length === 0) {
+            if (this.totalUrls === 0) {
                 this.showNoData();
                 return;
             }
             
-            this.populateFilters();
-            this.applyFilters();
+            await this.loadSessions();
+            await this.populateFilters();
+            await this.loadFirstPage();
+            await this.runSearch(); // Re-runs the current query against fresh data, then filters
             this.showTable();
             this.displayStats();
         } catch (error) {
+            // Locked from another page while this one was open
+            if (error.name === 'LibraryLockedError') {
+                this.showLockScreen();
+                return;
+            }
             console.error('Error loading data from IndexedDB:', error);
             this.showNoData();
             alert('Error loading saved URLs from local storage: ' + error.message);
         }
     }
 
+    showLockScreen() {
+        this.showNoData();
+        this.lockError.textContent = '';
+        this.lockPassphrase.value = '';
+        this.lockScreen.style.display = 'flex';
+        this.lockPassphrase.focus();
+    }
+
+    async unlockLibrary(e) {
+        e.preventDefault();
+
+        try {
+            await this.tabStorage.unlock(this.lockPassphrase.value);
+        } catch (error) {
+            this.lockError.textContent = error.message;
+            return;
+        }
+
+        this.lockPassphrase.value = '';
+        this.lockScreen.style.display = 'none';
+        await this.loadFromIndexedDB();
+    }
+
+    // Load the most recently seen URLs matching the category/domain filters
+    async loadFirstPage() {
+        const page = await this.tabStorage.getUrlsPage(this.pageQuery());
+        this.tabData = page.urls;
+        this.nextPageToken = page.nextPageToken;
+    }
+
+    async loadNextPage() {
+        if (!this.nextPageToken) return;
+
+        try {
+            const page = await this.tabStorage.getUrlsPage({ ...this.pageQuery(), pageToken: this.nextPageToken });
+            this.tabData = this.tabData.concat(page.urls);
+            this.nextPageToken = page.nextPageToken;
+            this.applyFilters();
+        } catch (error) {
+            console.error('Error loading more URLs:', error);
+            alert('Error loading more URLs: ' + error.message);
+        }
+    }
+
+    // Category and domain filters are applied by storage, so paging stays in filter order
+    async reloadPages() {
+        try {
+            await this.loadFirstPage();
+            this.applyFilters();
+        } catch (error) {
+            console.error('Error loading URLs:', error);
+        }
+    }
+
+    // Another page wrote to the library: patch the loaded lists instead of reloading them, so the
+    // filters, sort and scroll position stay as they are
+    async applyLibraryChange(change) {
+        if (this.tabStorage.isLocked()) return;
+
+        if (change.type === 'reset') {
+            await this.loadFromIndexedDB();
+            return;
+        }
+        if (change.type === 'sessions') {
+            await this.loadSessions();
+            this.applyFilters();
+            return;
+        }
+        if (change.type === 'collections') {
+            const activeCollection = this.activeCollection;
+            await this.loadCollections();
+            // The open collection was deleted, its pages were loaded for it
+            if (this.activeCollection !== activeCollection) await this.reloadPages();
+            return;
+        }
+
+        const scrollY = window.scrollY;
+
+        if (change.type === 'cleared') {
+            this.tabData = [];
+            this.nextPageToken = null;
+            if (this.searchResults) this.searchResults = [];
+            if (this.sessionRecords) this.sessionRecords = [];
+        } else if (change.type === 'deleted') {
+            const deleted = new Set(change.urls);
+            const keep = (list) => list && list.filter(item => !deleted.has(item.url));
+            this.tabData = keep(this.tabData);
+            this.searchResults = keep(this.searchResults);
+            this.sessionRecords = keep(this.sessionRecords);
+        } else {
+            const records = await this.tabStorage.getUrls(change.urls);
+            records.forEach(record => {
+                this.replaceRecord(record);
+                this.placeRecord(record);
+            });
+            if (change.type === 'saved') {
+                await this.populateFilters();
+                // New records may match the query; runSearch filters and renders
+                if (this.searchResults) await this.runSearch();
+            }
+        }
+
+        this.totalUrls = await this.tabStorage.countUrls();
+        this.collectionCounts = await this.tabStorage.countCollectionUrls();
+        this.renderCollections();
+        this.refreshTrash();
+
+        this.applyFilters();
+        if (this.totalUrls === 0) {
+            this.showNoData();
+        } else {
+            this.showTable();
+            window.scrollTo(window.scrollX, scrollY);
+        }
+    }
+
+    // Put a record into the loaded pages at its position in the order they are loaded in.
+    // One that sorts after everything loaded arrives with the next page instead
+    placeRecord(record) {
+        const index = this.tabData.findIndex(item => item.url === record.url);
+        if (index !== -1) this.tabData.splice(index, 1);
+
+        const { sortBy, sortOrder } = this.pageQuery();
+        const position = this.tabData.findIndex(item => sortOrder === 'desc' ? item[sortBy] < record[sortBy] : item[sortBy] > record[sortBy]);
+        if (position !== -1) {
+            this.tabData.splice(position, 0, record);
+        } else if (!this.nextPageToken) {
+            this.tabData.push(record);
+        }
+    }
+
+    pageQuery() {
+        const pagedSort = this.storageSort();
+        return {
+            sortBy: pagedSort ? pagedSort.field : 'lastSeen',
+            sortOrder: pagedSort ? pagedSort.direction : 'desc',
+            limit: this.pageSize,
+            category: this.categoryFilter.value || undefined,
+            domain: this.domainFilter.value || undefined,
+            starred: this.starredOnly.checked || undefined,
+            readingStatus: this.readingStatusQuery(),
+            collection: this.activeCollection ?? undefined
+        };
+    }
+
+    // "queue" is everything still to read
+    readingStatusQuery() {
+        const value = this.readingFilter.value;
+        if (!value) return undefined;
+        return value === 'queue' ? ['unread', 'in-progress'] : value;
+    }
+
+    async loadCollections() {
+        this.collections = await this.tabStorage.getCollections();
+        this.collectionCounts = await this.tabStorage.countCollectionUrls();
+
+        // The selected collection may have been deleted
+        if (!this.collections.some(collection => collection.id === this.activeCollection)) {
+            this.activeCollection = null;
+        }
+        this.renderCollections();
+    }
+
+    renderCollections() {
+        const itemsHtml = this.collections.map((collection, i) => `
+            <li class="collection-item ${collection.id === this.activeCollection ? 'active' : ''}" data-collection-id="${collection.id}">
+                <input type="color" class="collection-color" value="${this.escapeHtml(collection.color).replace(/"/g, '&quot;')}" title="Change color" />
+                <span class="collection-name" title="${this.escapeHtml(collection.description || '').replace(/"/g, '&quot;')}">${this.escapeHtml(collection.name)}</span>
+                <span class="collection-count">${this.collectionCounts[collection.id] || 0}</span>
+                <span class="collection-actions">
+                    <button data-action="move-up" title="Move up" ${i === 0 ? 'disabled' : ''}>▲</button>
+                    <button data-action="move-down" title="Move down" ${i === this.collections.length - 1 ? 'disabled' : ''}>▼</button>
+                    <button data-action="edit" title="Rename or describe">✎</button>
+                    <button data-action="export" title="Export this collection">⇩</button>
+                    <button data-action="delete" title="Delete collection">×</button>
+                </span>
+            </li>
+        `).join('');
+
+        this.collectionSidebar.innerHTML = `
+            <h3>Collections</h3>
+            <ul class="collection-list">
+                <li class="collection-item ${this.activeCollection === null ? 'active' : ''}" data-collection-id="">
+                    <span class="collection-name">All URLs</span>
+                    <span class="collection-count">${this.totalUrls}</span>
+                </li>
+                ${itemsHtml}
+            </ul>
+            <form class="collection-form">
+                <input type="text" name="name" placeholder="New collection" required />
+                <input type="text" name="description" placeholder="Description (optional)" />
+                <div class="collection-form-row">
+                    <input type="color" name="color" value="${this.tabStorage.collectionColors[this.collections.length % this.tabStorage.collectionColors.length]}" />
+                    <button type="submit">Add</button>
+                </div>
+            </form>
+        `;
+    }
+
+    async handleCollectionAction(e) {
+        const item = e.target.closest('.collection-item');
+        if (!item || e.target.classList.contains('collection-color')) return;
+
+        const id = item.dataset.collectionId ? Number(item.dataset.collectionId) : null;
+        const collection = this.collections.find(entry => entry.id === id);
+        const action = e.target.dataset.action;
+
+        try {
+            if (!action) {
+                this.activeCollection = id;
+                this.renderCollections();
+                await this.reloadPages();
+            } else if (action === 'move-up' || action === 'move-down') {
+                const ids = this.collections.map(entry => entry.id);
+                const from = ids.indexOf(id);
+                const to = action === 'move-up' ? from - 1 : from + 1;
+                [ids[from], ids[to]] = [ids[to], ids[from]];
+                this.collections = await this.tabStorage.reorderCollections(ids);
+                this.renderCollections();
+            } else if (action === 'edit') {
+                const name = prompt('Collection name:', collection.name);
+                if (name === null) return;
+                const description = prompt('Description:', collection.description || '');
+                if (description === null) return;
+                await this.tabStorage.updateCollection(id, { name, description });
+                await this.loadCollections();
+                this.renderTable(); // Row chips show collection names
+            } else if (action === 'export') {
+                await this.exportData(collection);
+            } else if (action === 'delete') {
+                if (!confirm(`Delete the collection "${collection.name}"? Its URLs stay saved.`)) return;
+                await this.tabStorage.deleteCollection(id);
+                await this.loadFromIndexedDB(); // Loaded records still list the deleted id
+            }
+        } catch (error) {
+            console.error('Collection error:', error);
+            alert('Collection update failed: ' + error.message);
+        }
+    }
+
+    async handleCollectionChange(e) {
+        if (!e.target.classList.contains('collection-color')) return;
+
+        try {
+            const id = Number(e.target.closest('.collection-item').dataset.collectionId);
+            await this.tabStorage.updateCollection(id, { color: e.target.value });
+            await this.loadCollections();
+            this.renderTable();
+        } catch (error) {
+            console.error('Collection error:', error);
+            alert('Collection update failed: ' + error.message);
+        }
+    }
+
+    async createCollection(e) {
+        e.preventDefault();
+        const form = e.target;
+
+        try {
+            await this.tabStorage.createCollection({
+                name: form.elements.name.value,
+                color: form.elements.color.value,
+                description: form.elements.description.value.trim()
+            });
+            await this.loadCollections();
+            this.renderTable(); // Rows offer the new collection
+        } catch (error) {
+            console.error('Collection error:', error);
+            alert('Could not create collection: ' + error.message);
+        }
+    }
+
     async displayStats() {
         try {
-            const stats = await this.tabStorage.getStats();
+            const periodWeeks = Number(this.statsPeriod) || 12;
+            const stats = await this.tabStorage.getStats({
+                since: new Date(Date.now() - periodWeeks * 7 * 24 * 60 * 60 * 1000)
+            });
+            const busiestWeek = Math.max(1, ...stats.savesPerWeek.map(week => week.count));
+            const storage = await this.tabStorage.getStorageEstimate();
             
             if (this.statsContainer) {
                 this.statsContainer.innerHTML = `
@@ -98,39 +504,147 @@ class TabViewer {
                             <div class="stat-number">${stats.totalAccesses}</div>
                             <div class="stat-label">Total Visits</div>
                         </div>
+                        <div class="stat-item">
+                            <div class="stat-number">${stats.readingCounts.unread}</div>
+                            <div class="stat-label">Unread (${stats.readingCounts['in-progress']} in progress)</div>
+                        </div>
+                        ${storage ? `
+                            <div class="stat-item ${storage.percent >= 80 ? 'storage-warning' : ''}">
+                                <div class="stat-number">${storage.percent}%</div>
+                                <div class="stat-label">Storage: ${this.formatBytes(storage.usage)} of ${this.formatBytes(storage.quota)}</div>
+                                <div class="stat-label">
+                                    ${storage.persisted ? 'Persistent' : '<button id="persistBtn" class="persist-btn">Make persistent</button>'}
+                                </div>
+                            </div>
+                        ` : ''}
                     </div>
                     <div class="top-lists">
                         <div class="top-domains">
                             <h4>Top Domains</h4>
-                            ${stats.topDomains.map(item => `<div>${item.domain} (${item.count})</div>`).join('')}
+                            ${stats.topDomains.map(item => `<div>${this.escapeHtml(item.domain)} (${item.count})</div>`).join('')}
                         </div>
                         <div class="top-categories">
                             <h4>Top Categories</h4>
-                            ${stats.topCategories.map(item => `<div>${item.category} (${item.count})</div>`).join('')}
+                            ${stats.topCategories.map(item => `<div>${this.escapeHtml(item.category)} (${item.count})</div>`).join('')}
+                        </div>
+                        <div class="unread-categories">
+                            <h4>Unread by Category</h4>
+                            ${stats.unreadByCategory.map(item => `<div>${this.escapeHtml(item.category)} (${item.count})</div>`).join('') || '<div>Nothing left to read</div>'}
+                        </div>
+                    </div>
+                    <div class="period-stats">
+                        <div class="period-header">
+                            <h4>${stats.periodSaves} saves in the last</h4>
+                            <select id="statsPeriod">
+                                ${[4, 12, 52].map(weeks => `<option value="${weeks}" ${weeks === periodWeeks ? 'selected' : ''}>${weeks} weeks</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="top-lists">
+                            <div class="week-chart">
+                                <h4>Saves per Week</h4>
+                                ${stats.savesPerWeek.map(week => `
+                                    <div class="week-bar" title="Week of ${week.weekStart}: ${week.count} saves">
+                                        <span class="week-label">${week.weekStart}</span>
+                                        <span class="week-fill" style="width: ${Math.round(week.count / busiestWeek * 100)}%"></span>
+                                        <span class="week-count">${week.count}</span>
+                                    </div>
+                                `).join('')}
+                            </div>
+                            <div class="top-revisited">
+                                <h4>Most Revisited</h4>
+                                ${stats.mostRevisited.map(item => `<div>${this.escapeHtml(item.title || item.url)} (${item.count})</div>`).join('') || '<div>Nothing saved twice in this period</div>'}
+                            </div>
                         </div>
                     </div>
                 `;
+
+                document.getElementById('statsPeriod').addEventListener('change', (e) => {
+                    this.statsPeriod = e.target.value;
+                    this.displayStats();
+                });
+
+                const persistBtn = document.getElementById('persistBtn');
+                if (persistBtn) {
+                    persistBtn.addEventListener('click', () => this.requestPersistence());
+                }
             }
         } catch (error) {
             console.error('Error loading stats:', error);
         }
     }
 
-    populateFilters() {
-        // Populate category filter
-        const categories = new Set();
-        const domains = new Set();
+    async loadSessions() {
+        this.sessions = await this.tabStorage.getSessions();
 
-        this.tabData.forEach(tab => {
-            tab.categories.forEach(cat => categories.add(cat));
-            if (tab.domain) domains.add(tab.domain);
+        while (this.sessionFilter.children.length > 1) {
+            this.sessionFilter.removeChild(this.sessionFilter.lastChild);
+        }
+
+        this.sessions.forEach(session => {
+            const optionElement = document.createElement('option');
+            optionElement.value = session.id;
+            optionElement.textContent = `${this.formatDate(session.timestamp)} (${session.tabCount} tabs, ${session.windowCount} window${session.windowCount > 1 ? 's' : ''})`;
+            this.sessionFilter.appendChild(optionElement);
         });
 
-        this.populateSelectOptions(this.categoryFilter, Array.from(categories).sort());
-        this.populateSelectOptions(this.domainFilter, Array.from(domains).sort());
+        // Keep the selected session if it still exists
+        const selectedId = this.activeSession ? this.activeSession.id : null;
+        this.activeSession = this.sessions.find(session => session.id === selectedId) || null;
+        this.sessionFilter.value = this.activeSession ? this.activeSession.id : '';
+        await this.loadSessionRecords();
+        this.renderSessionInfo();
+    }
+
+    async selectSession(sessionId) {
+        this.activeSession = this.sessions.find(session => String(session.id) === sessionId) || null;
+        await this.loadSessionRecords();
+        this.renderSessionInfo();
+        this.applyFilters();
+    }
+
+    async loadSessionRecords() {
+        this.sessionRecords = this.activeSession
+            ? await this.tabStorage.getUrls(this.tabStorage.getSessionUrls(this.activeSession))
+            : null;
+    }
+
+    renderSessionInfo() {
+        if (!this.activeSession) {
+            this.sessionInfo.style.display = 'none';
+            this.sessionInfo.innerHTML = '';
+            return;
+        }
+
+        const session = this.activeSession;
+        const windowsHtml = session.windows.map((sessionWindow, i) => {
+            const pinnedCount = sessionWindow.tabs.filter(tab => tab.pinned).length;
+            return `<div class="session-window">Window ${i + 1}: ${sessionWindow.tabs.length} tabs${pinnedCount ? `, ${pinnedCount} pinned` : ''}</div>`;
+        }).join('');
+
+        this.sessionInfo.innerHTML = `
+            <div><strong>Saved ${this.formatDate(session.timestamp)}</strong> (${session.scope === 'all-windows' ? 'all windows' : 'current window'})</div>
+            ${windowsHtml}
+            <button class="header-btn" id="restoreSessionBtn">Restore Session</button>
+        `;
+        this.sessionInfo.style.display = 'block';
+        document.getElementById('restoreSessionBtn').addEventListener('click', () => this.restoreActiveSession());
+    }
+
+    async populateFilters() {
+        // Distinct keys come straight from the categories and domain indexes, plus user-set categories
+        const categories = [...new Set([
+            ...await this.tabStorage.getDistinctValues('categories'),
+            ...await this.tabStorage.getDistinctValues('userCategories')
+        ])].sort();
+        const domains = await this.tabStorage.getDistinctValues('domain');
+
+        this.populateSelectOptions(this.categoryFilter, categories);
+        this.populateSelectOptions(this.domainFilter, domains);
     }
 
     populateSelectOptions(selectElement, options) {
+        const selected = selectElement.value;
+
         // Clear existing options except the first one
         while (selectElement.children.length > 1) {
             selectElement.removeChild(selectElement.lastChild);
@@ -142,47 +656,127 @@ class TabViewer {
             optionElement.textContent = option;
             selectElement.appendChild(optionElement);
         });
+
+        // Keep the current choice if it still exists
+        selectElement.value = options.includes(selected) ? selected : '';
+    }
+
+    // Debounce typing so the index is queried once the user pauses
+    scheduleSearch() {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.runSearch(), 150);
+    }
+
+    async runSearch() {
+        const query = this.searchInput.value.trim();
+        const sequence = ++this.searchSequence;
+
+        if (!query) {
+            this.searchResults = null;
+            this.applyFilters();
+            return;
+        }
+
+        try {
+            const results = await this.tabStorage.searchUrls(query);
+
+            // Ignore results of a query the user has typed past
+            if (sequence !== this.searchSequence) return;
+
+            this.searchResults = results;
+            this.applyFilters();
+        } catch (error) {
+            console.error('Search error:', error);
+        }
     }
 
     applyFilters() {
-        const searchTerm = this.searchInput.value.toLowerCase();
         const categoryFilter = this.categoryFilter.value;
         const domainFilter = this.domainFilter.value;
+        const sessionUrls = this.activeSession ? new Set(this.tabStorage.getSessionUrls(this.activeSession)) : null;
+
+        // Search results are ranked by relevance and session records keep tab order;
+        // otherwise show the pages loaded so far
+        const source = this.searchResults || this.sessionRecords || this.tabData;
 
-        this.filteredData = this.tabData.filter(tab => {
-            // Search filter - search in title, URL, description, and tags
-            const searchMatch = !searchTerm || 
-                tab.title.toLowerCase().includes(searchTerm) ||
-                tab.url.toLowerCase().includes(searchTerm) ||
-                (tab.description && tab.description.toLowerCase().includes(searchTerm)) ||
-                (tab.author && tab.author.toLowerCase().includes(searchTerm)) ||
-                tab.tags.some(tag => tag.toLowerCase().includes(searchTerm)) ||
-                tab.categories.some(category => category.toLowerCase().includes(searchTerm));
+        this.filteredData = source.filter(tab => {
+            // Category filter, on the categories the user sees
+            const categoryMatch = !categoryFilter || this.tabStorage.displayRecord(tab).categories.includes(categoryFilter);
 
-            // Category filter
-            const categoryMatch = !categoryFilter || tab.categories.includes(categoryFilter);
+            // Starred filter
+            const starredMatch = !this.starredOnly.checked || !!tab.user?.starred;
 
             // Domain filter
             const domainMatch = !domainFilter || tab.domain === domainFilter;
 
-            return searchMatch && categoryMatch && domainMatch;
+            // Session filter
+            const sessionMatch = !sessionUrls || sessionUrls.has(tab.url);
+
+            // Reading status filter
+            const readingStatus = this.readingStatusQuery();
+            const readingMatch = !readingStatus || [].concat(readingStatus).includes(tab.user?.readingStatus || 'unread');
+
+            // Collection picked in the sidebar
+            const collectionMatch = this.activeCollection === null || (tab.collections || []).includes(this.activeCollection);
+
+            return categoryMatch && domainMatch && sessionMatch && starredMatch && readingMatch && collectionMatch;
         });
+        if (this.sortedByUser) this.sortFilteredData();
 
         this.renderTable();
         this.updateStats();
+        this.loadMoreBtn.style.display = source === this.tabData && this.nextPageToken ? 'block' : 'none';
+        this.updatePartialSortNote();
     }
 
     handleSort(field) {
+        const wasPaged = !!this.storageSort();
         if (this.currentSort.field === field) {
             this.currentSort.direction = this.currentSort.direction === 'asc' ? 'desc' : 'asc';
         } else {
             this.currentSort.field = field;
             this.currentSort.direction = 'asc';
         }
+        this.sortedByUser = true;
+        this.updateSortIndicators();
 
-        this.filteredData.sort((a, b) => {
-            let aVal = a[field];
-            let bVal = b[field];
+        // An indexed column is sorted by storage, so the next page continues the order
+        if (wasPaged || this.storageSort()) {
+            this.reloadPages();
+            return;
+        }
+
+        this.sortFilteredData();
+        this.renderTable();
+        this.updatePartialSortNote();
+    }
+
+    // The clicked column sort when storage can load the pages in that order, null otherwise
+    storageSort() {
+        if (!this.sortedByUser || this.tabStorage.isEncrypted()) return null;
+        return this.tabStorage.sortableFields.includes(this.currentSort.field) ? this.currentSort : null;
+    }
+
+    // Other columns only sort the pages loaded so far, which the note says while more are left
+    updatePartialSortNote() {
+        const partial = this.sortedByUser && !this.storageSort() && !this.searchResults && !this.sessionRecords && !!this.nextPageToken;
+        this.partialSortNote.style.display = partial ? 'block' : 'none';
+        if (partial) {
+            this.partialSortNote.textContent = `Sorted within the ${this.tabData.length} URLs loaded so far, load more to sort the rest.`;
+        }
+    }
+
+    sortFilteredData() {
+        this.sortRecords(this.filteredData);
+    }
+
+    // Sorts on what the rows show, so a renamed title or overridden category sorts as displayed
+    sortRecords(records) {
+        const field = this.currentSort.field;
+        const shown = new Map(records.map(record => [record, this.tabStorage.displayRecord(record)]));
+        records.sort((a, b) => {
+            let aVal = shown.get(a)[field];
+            let bVal = shown.get(b)[field];
 
             // Handle arrays (categories, tags)
             if (Array.isArray(aVal)) aVal = aVal.join(', ');
@@ -204,9 +798,6 @@ class TabViewer {
 
             return this.currentSort.direction === 'desc' ? -result : result;
         });
-
-        this.updateSortIndicators();
-        this.renderTable();
     }
 
     updateSortIndicators() {
@@ -227,18 +818,185 @@ class TabViewer {
 
         this.filteredData.forEach(tab => {
             const row = document.createElement('tr');
-            row.innerHTML = this.createTableRow(tab);
             this.tabTableBody.appendChild(row);
+            this.renderRow(row, tab);
+        });
+    }
+
+    renderRow(row, tab) {
+        row.dataset.url = tab.url;
+        row.innerHTML = this.createTableRow(tab);
+
+        const historyToggle = row.querySelector('.history-toggle');
+        if (historyToggle) {
+            historyToggle.addEventListener('click', () => this.toggleTimeline(row, tab));
+        }
+    }
+
+    // Inline edits of the user-owned fields (title, star, notes, tags, category override)
+    handleRowClick(e) {
+        const row = e.target.closest('tr[data-url]');
+        if (!row) return;
+
+        if (e.target.classList.contains('star-toggle')) {
+            const starred = !e.target.classList.contains('starred');
+            this.editRecord(row, url => this.tabStorage.updateUserFields(url, { starred }));
+        } else if (e.target.classList.contains('tag-remove')) {
+            this.editRecord(row, url => this.tabStorage.editUserTags(url, { remove: [e.target.dataset.tag] }));
+        } else if (e.target.classList.contains('category-reset')) {
+            this.editRecord(row, url => this.tabStorage.updateUserFields(url, { categoryOverride: null }));
+        } else if (e.target.classList.contains('reading-set')) {
+            const status = e.target.dataset.status;
+            this.editRecord(row, url => this.tabStorage.setReadingStatus(url, status));
+        } else if (e.target.classList.contains('collection-remove')) {
+            const id = Number(e.target.dataset.collectionId);
+            this.editMembership(row, url => this.tabStorage.removeFromCollection(id, [url]));
+        }
+    }
+
+    // Opening an unread link, by click or middle click, starts reading it
+    handleLinkOpen(e) {
+        const row = e.target.closest('tr[data-url]');
+        if (!row || !e.target.closest('.tab-url a') || (e.type === 'auxclick' && e.button !== 1)) return;
+
+        const tab = this.filteredData.find(item => item.url === row.dataset.url);
+        if (tab && (tab.user?.readingStatus || 'unread') === 'unread') {
+            this.editRecord(row, url => this.tabStorage.setReadingStatus(url, 'in-progress'));
+        }
+    }
+
+    handleRowChange(e) {
+        const row = e.target.closest('tr[data-url]');
+        if (!row || !e.target.classList.contains('collection-add') || !e.target.value) return;
+
+        const id = Number(e.target.value);
+        this.editMembership(row, url => this.tabStorage.addToCollection(id, [url]));
+    }
+
+    // Membership changes also change the sidebar counts
+    async editMembership(row, edit) {
+        await this.editRecord(row, async (url) => (await edit(url))[0]);
+        this.collectionCounts = await this.tabStorage.countCollectionUrls();
+        this.renderCollections();
+    }
+
+    handleRowKeydown(e) {
+        const row = e.target.closest('tr[data-url]');
+        if (!row || e.key !== 'Enter') return;
+
+        const values = e.target.value ? e.target.value.split(',').map(value => value.trim()).filter(Boolean) : [];
+
+        if (e.target.classList.contains('tag-input') && values.length > 0) {
+            this.editRecord(row, url => this.tabStorage.editUserTags(url, { add: values }));
+        } else if (e.target.classList.contains('category-input') && values.length > 0) {
+            this.editRecord(row, url => this.tabStorage.updateUserFields(url, { categoryOverride: values }));
+        } else if (e.target.classList.contains('tab-title')) {
+            e.preventDefault();
+            e.target.blur(); // Saved by the focusout handler
+        }
+    }
+
+    handleRowFocusOut(e) {
+        const row = e.target.closest('tr[data-url]');
+        if (!row) return;
+
+        const tab = this.filteredData.find(item => item.url === row.dataset.url);
+        if (!tab) return;
+        const user = tab.user || {};
+
+        if (e.target.classList.contains('tab-title')) {
+            const text = e.target.textContent.trim();
+            // Clearing the title, or typing the detected one, goes back to the detected title
+            const customTitle = text === tab.title ? '' : text;
+            if (customTitle !== (user.customTitle || '')) {
+                this.editRecord(row, url => this.tabStorage.updateUserFields(url, { customTitle }));
+            } else if (!text) {
+                this.renderRow(row, tab);
+            }
+        } else if (e.target.classList.contains('user-notes') && e.target.value !== (user.notes || '')) {
+            const notes = e.target.value;
+            this.editRecord(row, url => this.tabStorage.updateUserFields(url, { notes }));
+        }
+    }
+
+    async editRecord(row, edit) {
+        try {
+            const updated = await edit(row.dataset.url);
+            this.replaceRecord(updated);
+            this.renderRow(row, updated);
+        } catch (error) {
+            console.error('Edit error:', error);
+            alert('Failed to save your change: ' + error.message);
+        }
+    }
+
+    // Swap an edited record into every list that may hold it
+    replaceRecord(updated) {
+        [this.tabData, this.searchResults, this.sessionRecords, this.filteredData].forEach(list => {
+            if (!list) return;
+            const index = list.findIndex(item => item.url === updated.url);
+            if (index !== -1) list[index] = updated;
+        });
+    }
+
+    // Show or hide the save history of a record in a row below it
+    toggleTimeline(row, tab) {
+        const next = row.nextElementSibling;
+        if (next && next.classList.contains('timeline-row')) {
+            next.remove();
+            return;
+        }
+
+        const actionLabels = {
+            'tab': 'Saved as single tab',
+            'window': 'Saved with window',
+            'all-windows': 'Saved with all windows',
+            'import': 'Imported'
+        };
+
+        const entriesHtml = [...tab.history].reverse().map(entry => {
+            // Window and all-windows saves share their timestamp with the session snapshot of that run
+            const session = this.sessions.find(item => item.timestamp === entry.timestamp);
+            const sessionHtml = session
+                ? `<button class="timeline-session" data-session-id="${session.id}">with ${session.tabCount - 1} other tab${session.tabCount === 2 ? '' : 's'}</button>`
+                : '';
+
+            return `
+                <li>
+                    <span class="timeline-date">${this.escapeHtml(this.formatDate(entry.timestamp))}</span>
+                    <span class="timeline-action">${this.escapeHtml(actionLabels[entry.action] || entry.action)}</span>
+                    ${entry.windowId !== null && entry.windowId !== undefined ? `<span class="timeline-window">window ${this.escapeHtml(entry.windowId)}</span>` : ''}
+                    <span class="timeline-title">${this.escapeHtml(entry.title || '')}</span>
+                    ${sessionHtml}
+                </li>
+            `;
+        }).join('');
+
+        const timelineRow = document.createElement('tr');
+        timelineRow.className = 'timeline-row';
+        timelineRow.innerHTML = `<td colspan="${row.children.length}"><ul class="timeline">${entriesHtml}</ul></td>`;
+        row.after(timelineRow);
+
+        timelineRow.querySelectorAll('.timeline-session').forEach(button => {
+            button.addEventListener('click', () => {
+                this.sessionFilter.value = button.dataset.sessionId;
+                this.selectSession(button.dataset.sessionId);
+            });
         });
     }
 
     createTableRow(tab) {
-        const categoriesHtml = tab.categories.map(cat => 
-            `<span class="category-tag">${cat}</span>`
+        // Title, categories and tags as edited by the user
+        const shown = this.tabStorage.displayRecord(tab);
+        const user = tab.user || {};
+        const userTags = new Set(user.addedTags || []);
+
+        const categoriesHtml = shown.categories.map(cat => 
+            `<span class="category-tag">${this.escapeHtml(cat)}</span>`
         ).join('');
 
-        const tagsHtml = tab.tags.slice(0, 6).map(tag => 
-            `<span class="tag">${tag}</span>`
+        const tagsHtml = shown.tags.map(tag => 
+            `<span class="tag ${userTags.has(tag) ? 'user-tag' : ''}">${this.escapeHtml(tag)}<button class="tag-remove" data-tag="${this.escapeHtml(tag).replace(/"/g, '&quot;')}" title="Remove tag">×</button></span>`
         ).join('');
 
         const confidencePercent = Math.round(tab.confidence * 100);
@@ -265,20 +1023,62 @@ class TabViewer {
                 <div class="access-count">Visited ${tab.accessCount} time${tab.accessCount > 1 ? 's' : ''}</div>
                 <div class="first-seen">First seen: ${this.formatDate(tab.firstSeen)}</div>
                 <div class="last-seen">Last seen: ${this.formatDate(tab.lastSeen)}</div>
+                ${(tab.history || []).length > 0 ? `<button class="history-toggle">History (${tab.history.length})</button>` : ''}
             </div>
         `;
 
+        // Read-later state with the actions that move it on
+        const readingLabels = { 'unread': 'Unread', 'in-progress': 'Reading', 'done': 'Done', 'archived': 'Archived' };
+        const readingActions = shown.readingStatus === 'done' || shown.readingStatus === 'archived'
+            ? [['unread', 'Mark unread']]
+            : [['done', 'Done'], ['archived', 'Archive']];
+        const readingHtml = `
+            <div class="reading-line">
+                <span class="reading-status reading-${shown.readingStatus}">${readingLabels[shown.readingStatus]}</span>
+                ${readingActions.map(([status, label]) => `<button class="reading-set" data-status="${status}">${label}</button>`).join('')}
+            </div>
+        `;
+
+        // Collections this URL belongs to, plus a picker for the others
+        const memberIds = tab.collections || [];
+        const collectionChipsHtml = this.collections
+            .filter(collection => memberIds.includes(collection.id))
+            .map(collection => `<span class="collection-chip" style="border-color: ${this.escapeHtml(collection.color).replace(/"/g, '&quot;')}">${this.escapeHtml(collection.name)}<button class="collection-remove" data-collection-id="${collection.id}" title="Remove from collection">×</button></span>`)
+            .join('');
+        const otherCollections = this.collections.filter(collection => !memberIds.includes(collection.id));
+        const collectionPickerHtml = otherCollections.length > 0
+            ? `<select class="collection-add"><option value="">+ collection</option>${otherCollections.map(collection => `<option value="${collection.id}">${this.escapeHtml(collection.name)}</option>`).join('')}</select>`
+            : '';
+
+        // Other URLs that were canonicalized into this record
+        const aliases = tab.aliases || [];
+        const aliasInfo = aliases.length > 0
+            ? `<div class="url-aliases" title="${this.escapeHtml(aliases.join('\n')).replace(/"/g, '&quot;')}">+${aliases.length} variant${aliases.length > 1 ? 's' : ''}</div>`
+            : '';
+
         return `
             <td>
-                <div class="tab-title">${this.escapeHtml(tab.title)}</div>
+                <div class="title-line">
+                    <button class="star-toggle ${shown.starred ? 'starred' : ''}" title="${shown.starred ? 'Unstar' : 'Star'}">${shown.starred ? '★' : '☆'}</button>
+                    <div class="tab-title" contenteditable="true" spellcheck="false" title="Click to rename">${this.escapeHtml(shown.title)}</div>
+                </div>
+                ${user.customTitle ? `<div class="original-title">Detected title: ${this.escapeHtml(tab.title)}</div>` : ''}
                 <div class="tab-url">
-                    <a href="${tab.url}" target="_blank">${this.escapeHtml(tab.url)}</a>
+                    <a href="${this.escapeHtml(shown.visitedUrl).replace(/"/g, '&quot;')}" target="_blank">${this.escapeHtml(shown.visitedUrl)}</a>
                 </div>
+                ${aliasInfo}
+                ${readingHtml}
+                ${collectionChipsHtml || collectionPickerHtml ? `<div class="row-collections">${collectionChipsHtml}${collectionPickerHtml}</div>` : ''}
+                <textarea class="user-notes" rows="1" placeholder="Add a note...">${this.escapeHtml(shown.notes)}</textarea>
                 ${accessInfo}
             </td>
             <td>${this.escapeHtml(tab.domain)}</td>
             <td>
-                <div class="categories">${categoriesHtml}</div>
+                <div class="categories">
+                    ${categoriesHtml}
+                    ${user.categoryOverride ? '<button class="category-reset" title="Back to detected categories">↺</button>' : ''}
+                </div>
+                <input class="category-input" placeholder="Set category" />
             </td>
             <td>
                 <div style="font-size: 12px; color: #2c3e50; font-weight: 500;">${confidencePercent}%</div>
@@ -286,6 +1086,7 @@ class TabViewer {
             </td>
             <td>
                 <div class="tags">${tagsHtml}</div>
+                <input class="tag-input" placeholder="+ tag" />
             </td>
             <td>
                 <div class="content-preview">
@@ -304,8 +1105,30 @@ class TabViewer {
     }
 
     updateStats() {
-        this.totalCount.textContent = this.tabData.length;
-        this.filteredCount.textContent = this.filteredData.length;
+        const morePages = !this.searchResults && !this.sessionRecords && this.nextPageToken;
+        this.totalCount.textContent = this.totalUrls;
+        this.filteredCount.textContent = `${this.filteredData.length}${morePages ? '+' : ''}`;
+    }
+
+    // Everything the current filters match, including pages not loaded yet, in the order shown
+    async getMatchingUrls() {
+        if (this.searchResults || this.sessionRecords || !this.nextPageToken) {
+            return this.filteredData;
+        }
+
+        const { limit, sortBy, sortOrder, ...filters } = this.pageQuery();
+        let records;
+        if (Object.values(filters).every(value => value === undefined)) {
+            // No filter: the whole library, read in batches
+            records = [];
+            await this.tabStorage.forEachUrl(record => records.push(record));
+            records.sort((a, b) => String(b.lastSeen).localeCompare(String(a.lastSeen)));
+        } else {
+            records = await this.tabStorage.getAllUrls({ sortBy, sortOrder, ...filters });
+        }
+
+        if (this.sortedByUser) this.sortRecords(records);
+        return records;
     }
 
     showLoading() {
@@ -329,12 +1152,20 @@ class TabViewer {
         if (this.statsContainer) this.statsContainer.style.display = 'none';
     }
 
-    async exportData() {
+    // Export what the filters match, or all of one collection when called from the sidebar
+    async exportData(collection = null) {
         try {
-            const format = prompt('Export format (json/csv/markdown/simple):', 'json');
+            const format = prompt('Export format (json/jsonl/csv/markdown/html/opml/simple):', 'json');
             if (!format) return;
 
-            const exportData = this.tabStorage.formatUrlsForExport(this.filteredData.length > 0 ? this.filteredData : this.tabData, format);
+            const records = collection
+                ? await this.tabStorage.getAllUrls({ collection: collection.id })
+                : await this.getMatchingUrls();
+            const exportedCollection = collection || this.collections.find(entry => entry.id === this.activeCollection);
+            const exportData = this.tabStorage.formatUrlsForExport(records, format, {
+                collection: exportedCollection,
+                collections: this.collections
+            });
             
             const blob = new Blob([exportData.content], { type: 'text/plain;charset=utf-8' });
             const url = URL.createObjectURL(blob);
@@ -354,23 +1185,594 @@ class TabViewer {
         }
     }
 
+    async importFiles(fileList) {
+        const files = Array.from(fileList);
+        if (files.length === 0) return;
+
+        const totals = { added: 0, merged: 0, rejected: [] };
+        const failedFiles = [];
+
+        for (const file of files) {
+            try {
+                const text = await file.text();
+                const report = await this.libraryImporter.importFile(text, file.name);
+                totals.added += report.added;
+                totals.merged += report.merged;
+                totals.rejected.push(...report.rejected.map(item => ({ ...item, file: file.name })));
+            } catch (error) {
+                console.error(`Import error in ${file.name}:`, error);
+                failedFiles.push(`${file.name}: ${error.message}`);
+            }
+        }
+
+        // Allow picking the same file again
+        this.importFileInput.value = '';
+
+        let message = `Import finished: ${totals.added} added, ${totals.merged} merged, ${totals.rejected.length} rejected.`;
+        if (totals.rejected.length > 0) {
+            const examples = totals.rejected.slice(0, 10)
+                .map(item => `- ${item.file}: ${item.url || `entry #${item.position + 1}`} (${item.reason})`);
+            message += `\n\nRejected entries:\n${examples.join('\n')}`;
+            if (totals.rejected.length > examples.length) {
+                message += `\n...and ${totals.rejected.length - examples.length} more`;
+            }
+        }
+        if (failedFiles.length > 0) {
+            message += `\n\nFiles that could not be read:\n${failedFiles.join('\n')}`;
+        }
+        alert(message);
+
+        await this.loadFromIndexedDB();
+    }
+
+    async restoreActiveSession() {
+        if (!this.activeSession) return;
+
+        try {
+            const results = await this.tabRestorer.restoreSession(this.activeSession, {
+                intoCurrentWindow: this.restoreIntoCurrent.checked
+            });
+            this.showRestoreResult(results);
+        } catch (error) {
+            console.error('Restore error:', error);
+            alert('Restore failed: ' + error.message);
+        }
+    }
+
+    async restoreFiltered() {
+        const urls = await this.getMatchingUrls();
+        if (urls.length === 0) {
+            alert('Nothing to restore, the current filter matches no URLs.');
+            return;
+        }
+
+        if (!confirm(`Restore ${urls.length} tabs?`)) {
+            return;
+        }
+
+        try {
+            // Reopen the URLs as they were visited, not their canonical keys
+            const results = await this.tabRestorer.restoreUrls(urls.map(record => this.tabStorage.displayRecord(record)), {
+                intoCurrentWindow: this.restoreIntoCurrent.checked
+            });
+            this.showRestoreResult(results);
+        } catch (error) {
+            console.error('Restore error:', error);
+            alert('Restore failed: ' + error.message);
+        }
+    }
+
+    showRestoreResult(results) {
+        if (results.errors.length > 0) {
+            alert(`Restored ${results.tabs} tabs, ${results.errors.length} could not be opened.`);
+        }
+    }
+
     async clearAllData() {
-        if (!confirm('Are you sure you want to delete ALL saved URLs? This cannot be undone.')) {
+        if (!confirm('Move ALL saved URLs to the trash? You can undo this or restore them from the trash later.')) {
             return;
         }
 
         try {
-            await this.tabStorage.clearAllUrls();
+            const result = await this.tabStorage.clearAllUrls();
             this.tabData = [];
             this.filteredData = [];
+            this.nextPageToken = null;
+            this.totalUrls = 0;
             this.showNoData();
-            alert('All saved URLs have been deleted.');
+            this.showUndo(`Moved ${result.count} URLs to the trash`, result.batchId);
+            this.refreshTrash();
         } catch (error) {
             console.error('Clear error:', error);
             alert('Failed to clear data: ' + error.message);
         }
     }
 
+    // Toast with an Undo button for the delete batch just made
+    showUndo(message, batchId) {
+        clearTimeout(this.undoTimer);
+        this.undoToast.innerHTML = `<span>${this.escapeHtml(message)}</span><button>Undo</button>`;
+        this.undoToast.style.display = 'block';
+
+        this.undoToast.querySelector('button').addEventListener('click', async () => {
+            this.hideUndo();
+            try {
+                await this.tabStorage.undoDelete(batchId);
+                await this.loadFromIndexedDB();
+                this.refreshTrash();
+            } catch (error) {
+                console.error('Undo error:', error);
+                alert('Failed to undo: ' + error.message);
+            }
+        });
+
+        this.undoTimer = setTimeout(() => this.hideUndo(), 10000);
+    }
+
+    hideUndo() {
+        clearTimeout(this.undoTimer);
+        this.undoToast.style.display = 'none';
+    }
+
+    async toggleTrash() {
+        if (this.trashPanel.style.display === 'block') {
+            this.trashPanel.style.display = 'none';
+            return;
+        }
+        await this.renderTrash();
+        this.trashPanel.style.display = 'block';
+    }
+
+    // Re-render the trash panel if it is open
+    refreshTrash() {
+        if (this.trashPanel.style.display === 'block') {
+            this.renderTrash();
+        }
+    }
+
+    async renderTrash() {
+        this.trashEntries = await this.tabStorage.getTrash();
+        const retentionDays = await this.tabStorage.getTrashRetentionDays();
+
+        const entriesHtml = this.trashEntries.slice(0, this.trashListLimit).map((entry, i) => `
+            <div class="trash-entry">
+                <span class="trash-title" title="${this.escapeHtml(entry.url).replace(/"/g, '&quot;')}">${this.escapeHtml(entry.record.title || entry.url)}</span>
+                <span class="trash-date">Deleted ${this.formatDate(entry.deletedAt)}</span>
+                <button data-action="restore" data-index="${i}">Restore</button>
+                <button data-action="purge" data-index="${i}">Delete Forever</button>
+            </div>
+        `).join('');
+
+        const hiddenCount = this.trashEntries.length - this.trashListLimit;
+
+        this.trashPanel.innerHTML = `
+            <div class="trash-actions">
+                <strong>${this.trashEntries.length} URLs in trash</strong>
+                <label>Purge after <input type="number" id="trashRetention" min="1" value="${retentionDays}" /> days</label>
+                <button data-action="save-retention">Save</button>
+                <button data-action="restore-all" ${this.trashEntries.length ? '' : 'disabled'}>Restore All</button>
+                <button data-action="empty" ${this.trashEntries.length ? '' : 'disabled'}>Empty Trash</button>
+            </div>
+            <div class="trash-list">${entriesHtml}</div>
+            ${hiddenCount > 0 ? `<div class="trash-date">and ${hiddenCount} more</div>` : ''}
+        `;
+    }
+
+    async handleTrashAction(e) {
+        const action = e.target.dataset.action;
+        if (!action) return;
+
+        const entry = this.trashEntries[Number(e.target.dataset.index)];
+
+        try {
+            if (action === 'restore') {
+                await this.tabStorage.restoreFromTrash([entry.url]);
+            } else if (action === 'purge') {
+                await this.tabStorage.purgeFromTrash([entry.url]);
+            } else if (action === 'restore-all') {
+                await this.tabStorage.restoreFromTrash(this.trashEntries.map(item => item.url));
+            } else if (action === 'empty') {
+                if (!confirm(`Permanently delete ${this.trashEntries.length} URLs? This cannot be undone.`)) return;
+                await this.tabStorage.emptyTrash();
+            } else if (action === 'save-retention') {
+                await this.tabStorage.setTrashRetentionDays(document.getElementById('trashRetention').value);
+                await this.tabStorage.purgeExpiredTrash();
+            }
+
+            if (action === 'restore' || action === 'restore-all') {
+                await this.loadFromIndexedDB();
+            }
+            await this.renderTrash();
+        } catch (error) {
+            console.error('Trash error:', error);
+            alert('Trash action failed: ' + error.message);
+        }
+    }
+
+    async requestPersistence() {
+        try {
+            const persisted = await this.tabStorage.requestPersistentStorage();
+            if (!persisted) {
+                alert('The browser did not grant persistent storage. Saved URLs may be evicted when the disk is low on space.');
+            }
+            this.displayStats();
+        } catch (error) {
+            console.error('Persistence error:', error);
+            alert('Could not request persistent storage: ' + error.message);
+        }
+    }
+
+    async toggleRetention() {
+        if (this.retentionPanel.style.display === 'block') {
+            this.retentionPanel.style.display = 'none';
+            return;
+        }
+        await this.renderRetention();
+        this.retentionPanel.style.display = 'block';
+    }
+
+    async renderRetention(preview = null) {
+        const rules = preview ? preview.rules : await this.tabStorage.getRetentionRules();
+        const reasonLabels = { 'unrevisited': 'never revisited', 'over-limit': 'over the record limit' };
+
+        const previewHtml = preview ? `
+            <div class="retention-preview">
+                <strong>${preview.urls.length} of ${preview.totalUrls} URLs would be moved to the trash</strong>
+                <div class="trash-list">
+                    ${preview.urls.slice(0, this.trashListLimit).map(item => `
+                        <div class="trash-entry">
+                            <span class="trash-title" title="${this.escapeHtml(item.url).replace(/"/g, '&quot;')}">${this.escapeHtml(item.title || item.url)}</span>
+                            <span class="trash-date">Last seen ${this.formatDate(item.lastSeen)}</span>
+                            <span class="trash-date">${reasonLabels[item.reason]}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                ${preview.urls.length > this.trashListLimit ? `<div class="trash-date">and ${preview.urls.length - this.trashListLimit} more</div>` : ''}
+            </div>
+        ` : '';
+
+        this.retentionPanel.innerHTML = `
+            <div class="trash-actions">
+                <label>Keep at most <input type="number" id="retentionMaxRecords" min="1" value="${rules.maxRecords ?? ''}" placeholder="any" /> URLs</label>
+                <label>Prune URLs never revisited after <input type="number" id="retentionMonths" min="1" value="${rules.unrevisitedMonths ?? ''}" placeholder="-" /> months</label>
+                <label><input type="checkbox" id="retentionKeepStarred" ${rules.keepStarred ? 'checked' : ''} /> Never prune starred</label>
+                <label><input type="checkbox" id="retentionEnabled" ${rules.enabled ? 'checked' : ''} /> Apply automatically</label>
+            </div>
+            <div class="trash-actions">
+                <button data-action="save">Save Rules</button>
+                <button data-action="preview">Preview</button>
+                <button data-action="apply">Apply Now</button>
+            </div>
+            ${previewHtml}
+        `;
+    }
+
+    // Rules as currently entered in the panel
+    readRetentionForm() {
+        return {
+            maxRecords: document.getElementById('retentionMaxRecords').value,
+            unrevisitedMonths: document.getElementById('retentionMonths').value,
+            keepStarred: document.getElementById('retentionKeepStarred').checked,
+            enabled: document.getElementById('retentionEnabled').checked
+        };
+    }
+
+    async handleRetentionAction(e) {
+        const action = e.target.dataset.action;
+        if (!action) return;
+
+        try {
+            const rules = this.readRetentionForm();
+
+            if (action === 'save') {
+                await this.tabStorage.setRetentionRules(rules);
+                await this.renderRetention();
+            } else if (action === 'preview') {
+                await this.renderRetention(await this.tabStorage.previewRetention(rules));
+            } else if (action === 'apply') {
+                const preview = await this.tabStorage.previewRetention(rules);
+                if (preview.urls.length === 0) {
+                    alert('No saved URL matches these rules.');
+                    return;
+                }
+                if (!confirm(`Move ${preview.urls.length} URLs to the trash?`)) return;
+
+                const result = await this.tabStorage.applyRetention(rules);
+                await this.renderRetention();
+                await this.loadFromIndexedDB();
+                this.refreshTrash();
+                this.showUndo(`Moved ${result.count} URLs to the trash`, result.batchId);
+            }
+        } catch (error) {
+            console.error('Retention error:', error);
+            alert('Retention action failed: ' + error.message);
+        }
+    }
+
+    async toggleEncryption() {
+        if (this.encryptionPanel.style.display === 'block') {
+            this.encryptionPanel.style.display = 'none';
+            return;
+        }
+        this.renderEncryption();
+        this.encryptionPanel.style.display = 'block';
+    }
+
+    renderEncryption() {
+        if (this.tabStorage.isEncrypted()) {
+            this.encryptionPanel.innerHTML = `
+                <div class="panel-note">The library is encrypted. Titles, notes and URLs are only readable after unlocking; the search matches whole words only.</div>
+                <div class="trash-actions">
+                    <button data-action="lock">Lock Now</button>
+                </div>
+                <div class="trash-actions">
+                    <label>Passphrase <input type="password" id="encryptionPassphrase" autocomplete="current-password" /></label>
+                    <button data-action="disable">Decrypt Library</button>
+                </div>
+            `;
+            return;
+        }
+
+        this.encryptionPanel.innerHTML = `
+            <div class="panel-note">Encrypt saved URLs, notes and sessions with a passphrase. You unlock them once per browser session. A forgotten passphrase can't be recovered, and neither can the library.</div>
+            <div class="trash-actions">
+                <label>Passphrase <input type="password" id="encryptionPassphrase" autocomplete="new-password" /></label>
+                <label>Repeat <input type="password" id="encryptionConfirm" autocomplete="new-password" /></label>
+                <button data-action="enable">Encrypt Library</button>
+            </div>
+        `;
+    }
+
+    async handleEncryptionAction(e) {
+        const action = e.target.dataset.action;
+        if (!action) return;
+
+        try {
+            if (action === 'lock') {
+                await this.tabStorage.lock();
+                this.encryptionPanel.style.display = 'none';
+                this.showLockScreen();
+                return;
+            }
+
+            const passphrase = document.getElementById('encryptionPassphrase').value;
+            if (action === 'enable') {
+                if (passphrase !== document.getElementById('encryptionConfirm').value) {
+                    alert('The passphrases do not match.');
+                    return;
+                }
+                await this.tabStorage.enableEncryption(passphrase);
+                alert('The library is encrypted now.');
+            } else if (action === 'disable') {
+                if (!confirm('Store the whole library unencrypted again?')) return;
+                await this.tabStorage.disableEncryption(passphrase);
+                alert('The library is no longer encrypted.');
+            }
+
+            this.renderEncryption();
+            await this.loadFromIndexedDB();
+        } catch (error) {
+            console.error('Encryption error:', error);
+            alert('Encryption action failed: ' + error.message);
+        }
+    }
+
+    async handleBackupAction(e) {
+        const action = e.target.dataset.action;
+        if (action === 'backup') {
+            await this.downloadBackup();
+        } else if (action === 'restore') {
+            await this.restoreBackup();
+        }
+    }
+
+    async downloadBackup() {
+        const passphraseInput = document.getElementById('backupPassphrase');
+
+        try {
+            const backup = await this.libraryBackup.createBackup(passphraseInput.value);
+            const blob = new Blob([backup.content], { type: 'application/json;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = backup.filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            passphraseInput.value = '';
+            alert(`Backup created: ${backup.counts.urls} URLs, ${backup.counts.trash} in the trash, ${backup.counts.sessions} sessions, ${backup.counts.collections} collections.`);
+        } catch (error) {
+            console.error('Backup error:', error);
+            alert('Backup failed: ' + error.message);
+        }
+    }
+
+    async restoreBackup() {
+        const fileInput = document.getElementById('backupFile');
+        const passphraseInput = document.getElementById('restorePassphrase');
+        const mode = document.getElementById('restoreMode').value;
+        const file = fileInput.files[0];
+        if (!file) {
+            alert('Choose a backup file first.');
+            return;
+        }
+
+        try {
+            // Everything is checked before the library is touched
+            const backup = await this.libraryBackup.readBackup(await file.text(), passphraseInput.value);
+            const summary = `Backup from ${this.formatDate(backup.createdAt)}: ${backup.counts.urls} URLs, ${backup.counts.trash} in the trash, ${backup.counts.sessions} sessions, ${backup.counts.collections} collections.`;
+            const question = mode === 'replace'
+                ? 'Replace the whole library and its settings with this backup? Everything saved since is lost.'
+                : 'Merge it into this library?';
+            if (!confirm(`${summary}
+
+${question}`)) return;
+
+            const report = await this.libraryBackup.restoreBackup(backup, mode);
+            fileInput.value = '';
+            passphraseInput.value = '';
+
+            alert(mode === 'replace'
+                ? `Library replaced: ${report.urls} URLs, ${report.trash} in the trash, ${report.sessions} sessions, ${report.collections} collections.`
+                : `Backup merged: ${report.added} URLs added, ${report.merged} merged, ${report.rejected.length} rejected; ${report.collections} collections, ${report.sessions} sessions and ${report.trash} trash entries added.`);
+            await this.loadFromIndexedDB();
+        } catch (error) {
+            console.error('Restore error:', error);
+            alert('Restore failed: ' + error.message);
+        }
+    }
+
+    async toggleSync() {
+        if (this.syncPanel.style.display === 'block') {
+            this.syncPanel.style.display = 'none';
+            return;
+        }
+        await this.renderSync();
+        this.syncPanel.style.display = 'block';
+    }
+
+    async renderSync() {
+        const settings = await this.librarySync.getSettings();
+        const status = await this.librarySync.getStatus();
+        const value = (text) => this.escapeHtml(text).replace(/"/g, '&quot;');
+        // Secrets are never put back into the page; an empty field keeps the one entered before
+        const secretHint = (secret, empty) => secret ? 'entered, kept until the browser closes' : empty;
+
+        this.syncPanel.innerHTML = `
+            <div class="panel-note">Sync keeps this library in step with other machines through one file in a WebDAV or plain HTTP folder. Use the same folder and passphrase everywhere; the passphrase encrypts the file on the server and is needed when the library is encrypted. The password and passphrase are not saved to disk, enter them again after the browser restarts.</div>
+            <div class="trash-actions">
+                <label>Folder <input type="url" id="syncUrl" value="${value(settings.url)}" placeholder="https://dav.example.com/fomo-tabs/" /></label>
+                <label>User <input type="text" id="syncUsername" value="${value(settings.username)}" autocomplete="username" /></label>
+                <label>Password <input type="password" id="syncPassword" autocomplete="current-password" placeholder="${secretHint(settings.password, '')}" /></label>
+            </div>
+            <div class="trash-actions">
+                <label>Passphrase <input type="password" id="syncPassphrase" autocomplete="new-password" placeholder="${secretHint(settings.passphrase, 'optional')}" /></label>
+                <label><input type="checkbox" id="syncOnOpen" ${settings.syncOnOpen ? 'checked' : ''} /> Sync when the viewer opens</label>
+                <button data-action="save">Save Settings</button>
+                <button data-action="sync">Sync Now</button>
+                <button data-action="forget">Forget Password and Passphrase</button>
+            </div>
+            <div class="panel-note">${this.escapeHtml(this.describeSyncStatus(status))}</div>
+        `;
+    }
+
+    async handleSyncAction(e) {
+        const action = e.target.dataset.action;
+        if (!action) return;
+
+        if (action === 'forget') {
+            await this.librarySync.forgetSecrets();
+            await this.renderSync();
+            return;
+        }
+
+        try {
+            const changes = {
+                url: document.getElementById('syncUrl').value,
+                username: document.getElementById('syncUsername').value,
+                syncOnOpen: document.getElementById('syncOnOpen').checked
+            };
+            const password = document.getElementById('syncPassword').value;
+            const passphrase = document.getElementById('syncPassphrase').value;
+            if (password) changes.password = password;
+            if (passphrase) changes.passphrase = passphrase;
+            await this.librarySync.saveSettings(changes);
+        } catch (error) {
+            alert('Could not save the sync settings: ' + error.message);
+            return;
+        }
+
+        if (action === 'sync') {
+            await this.syncLibrary();
+        } else {
+            await this.renderSync();
+            await this.showSyncStatus();
+        }
+    }
+
+    // quiet leaves failures to the status line instead of an alert
+    async syncLibrary(quiet = false) {
+        this.syncStatus.classList.remove('failed');
+        this.syncStatus.textContent = 'Syncing...';
+
+        try {
+            const counts = await this.librarySync.sync();
+            if (counts.pulled > 0 || counts.deleted > 0) {
+                await this.loadFromIndexedDB();
+            }
+            if (!quiet) {
+                alert(`Sync done: ${counts.pulled} pulled, ${counts.pushed} pushed, ${counts.deleted} deleted, ${counts.conflicts} conflicts merged.`);
+            }
+        } catch (error) {
+            console.error('Sync error:', error);
+            if (!quiet) alert('Sync failed: ' + error.message);
+        }
+
+        await this.showSyncStatus();
+        if (this.syncPanel.style.display === 'block') {
+            await this.renderSync();
+        }
+    }
+
+    async syncOnOpen() {
+        if (this.syncStarted) return;
+        this.syncStarted = true;
+
+        const settings = await this.librarySync.getSettings();
+        if (settings.url && settings.syncOnOpen) {
+            await this.syncLibrary(true);
+        } else {
+            await this.showSyncStatus();
+        }
+    }
+
+    // Short sync state next to the counts; nothing until a sync folder is set
+    async showSyncStatus() {
+        const settings = await this.librarySync.getSettings();
+        const status = await this.librarySync.getStatus();
+
+        this.syncStatus.classList.toggle('failed', !!status.lastError);
+        if (!settings.url) {
+            this.syncStatus.textContent = '';
+        } else if (status.lastError) {
+            this.syncStatus.textContent = 'Sync failed';
+            this.syncStatus.title = status.lastError.message;
+        } else {
+            this.syncStatus.textContent = status.lastSyncAt ? `Synced ${this.formatDate(status.lastSyncAt)}` : 'Not synced yet';
+            this.syncStatus.title = '';
+        }
+    }
+
+    describeSyncStatus(status) {
+        const lines = [];
+        if (status.lastSyncAt) {
+            const result = status.lastResult;
+            lines.push(`Last synced ${this.formatDate(status.lastSyncAt)}` + (result
+                ? `: ${result.pulled} pulled, ${result.pushed} pushed, ${result.deleted} deleted, ${result.conflicts} conflicts merged.`
+                : '.'));
+        } else {
+            lines.push('Not synced yet.');
+        }
+        if (status.lastError) {
+            lines.push(`Last error (${this.formatDate(status.lastError.at)}): ${status.lastError.message}`);
+        }
+        return lines.join(' ');
+    }
+
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
     formatDate(dateString) {
         try {
             const date = new Date(dateString);
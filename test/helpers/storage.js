@@ -0,0 +1,61 @@
+// storage.js - Load the extension's storage scripts into Node and build fixture databases
+
+// The scripts are plain browser scripts sharing one global scope, so they are run the way the
+// <script> tags of a page run them. fake-indexeddb stands in for the browser's IndexedDB
+require('fake-indexeddb/auto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const scripts = ['search-index.js', 'url-canonicalizer.js', 'migrations.js', 'library-vault.js', 'indexeddb.js'];
+scripts.forEach(file => {
+  vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', '..', file), 'utf8'), { filename: file });
+});
+
+let fixtureCount = 0;
+
+// A TabStorage on a database of its own, upgraded by the real migrations to version and filled with
+// the fixture records, given as { storeName: [records] }. The database is closed again, ready for
+// the migration under test. Version 0 stands for a browser that never opened the database
+async function createFixture(version, fixtures = {}) {
+  const storage = new TabStorage();
+  storage.dbName = `fixture-${++fixtureCount}`;
+  if (version === 0) return storage;
+
+  const db = await openAt(storage, version);
+  const storeNames = Object.keys(fixtures);
+  if (storeNames.length > 0) {
+    const transaction = db.transaction(storeNames, 'readwrite');
+    storeNames.forEach(storeName => {
+      fixtures[storeName].forEach(record => transaction.objectStore(storeName).put(record));
+    });
+    await storage.transactionDone(transaction);
+  }
+  db.close();
+  return storage;
+}
+
+// Open the storage's database at version, running the migrations in between
+function openAt(storage, version) {
+  storage.dbVersion = version;
+  return storage.openDatabase();
+}
+
+function readAll(db, storeName) {
+  const transaction = db.transaction([storeName], 'readonly');
+  return requestResult(transaction.objectStore(storeName).getAll());
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Logged result of one migration of the last upgrade
+function migrationResult(storage, version) {
+  return storage.migrationLog.find(entry => entry.version === version)?.result;
+}
+
+module.exports = { createFixture, openAt, readAll, requestResult, migrationResult };
@@ -0,0 +1,211 @@
+// migrations.test.js - Every schema migration run against a fixture database of the version before it
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFixture, openAt, readAll, requestResult, migrationResult } = require('./helpers/storage');
+
+function urlRecord(url, fields = {}) {
+  return {
+    url: url,
+    title: url,
+    domain: new URL(url).hostname,
+    firstSeen: '2024-01-01T00:00:00.000Z',
+    lastSeen: '2024-01-01T00:00:00.000Z',
+    accessCount: 1,
+    categories: [],
+    tags: [],
+    ...fields
+  };
+}
+
+function indexNames(db, storeName) {
+  return [...db.transaction([storeName], 'readonly').objectStore(storeName).indexNames].sort();
+}
+
+async function search(storage, db, query) {
+  const transaction = db.transaction([storage.searchStoreName], 'readonly');
+  return (await storage.searchIndex.search(transaction, query)).map(result => result.url);
+}
+
+test('1 creates the tabExports store', async () => {
+  const storage = await createFixture(0);
+  const db = await openAt(storage, 1);
+
+  assert.deepStrictEqual(indexNames(db, 'tabExports'), ['format', 'timestamp', 'windowCount']);
+  assert.deepStrictEqual(migrationResult(storage, 1), { created: 'tabExports' });
+  db.close();
+});
+
+test('2 creates the urls store keyed by URL', async () => {
+  const storage = await createFixture(1);
+  const db = await openAt(storage, 2);
+
+  const transaction = db.transaction(['urls'], 'readonly');
+  assert.strictEqual(transaction.objectStore('urls').keyPath, 'url');
+  assert.deepStrictEqual(indexNames(db, 'urls'), ['accessCount', 'categories', 'domain', 'firstSeen', 'lastSeen', 'tags']);
+  db.close();
+});
+
+test('3 creates the search index and indexes the stored URLs', async () => {
+  const storage = await createFixture(2, {
+    urls: [urlRecord('https://a.com/guide', { title: 'Alpha guide' }), urlRecord('https://b.com/', { title: 'Beta news' })]
+  });
+  const db = await openAt(storage, 3);
+
+  assert.deepStrictEqual(await search(storage, db, 'alpha'), ['https://a.com/guide']);
+  assert.deepStrictEqual(await search(storage, db, 'news'), ['https://b.com/']);
+  db.close();
+});
+
+test('4 re-keys records by canonical URL and merges their variants', async () => {
+  const storage = await createFixture(3, {
+    urls: [
+      urlRecord('https://a.com/x', { accessCount: 2, tags: ['js'] }),
+      urlRecord('https://www.a.com/x?utm_source=feed', { accessCount: 1, tags: ['web'], lastSeen: '2024-02-01T00:00:00.000Z' }),
+      urlRecord('https://m.b.com/page/', { title: 'Only variant' })
+    ]
+  });
+  const db = await openAt(storage, 4);
+  const records = await readAll(db, 'urls');
+
+  assert.deepStrictEqual(records.map(record => record.url), ['https://a.com/x', 'https://b.com/page']);
+  const merged = records[0];
+  assert.strictEqual(merged.accessCount, 3);
+  assert.strictEqual(merged.lastSeen, '2024-02-01T00:00:00.000Z');
+  assert.deepStrictEqual(merged.tags.sort(), ['js', 'web']);
+  assert.deepStrictEqual(merged.aliases, ['https://www.a.com/x?utm_source=feed']);
+  assert.deepStrictEqual(records[1].aliases, ['https://m.b.com/page/']);
+  assert.deepStrictEqual(migrationResult(storage, 4), { rekeyed: 1, merged: 1 });
+
+  // The variants are found through the aliases index
+  const transaction = db.transaction(['urls'], 'readonly');
+  const byAlias = await requestResult(transaction.objectStore('urls').index('aliases').get('https://m.b.com/page/'));
+  assert.strictEqual(byAlias.url, 'https://b.com/page');
+  db.close();
+});
+
+test('5 creates the trash store', async () => {
+  const storage = await createFixture(4);
+  const db = await openAt(storage, 5);
+
+  assert.deepStrictEqual(indexNames(db, 'trash'), ['batchId', 'deletedAt']);
+  db.close();
+});
+
+test('6 moves legacy export records into the urls store and keeps session snapshots', async () => {
+  const storage = await createFixture(5, {
+    urls: [urlRecord('https://a.com/', { accessCount: 4 })],
+    tabExports: [
+      {
+        timestamp: '2023-05-01T10:00:00.000Z',
+        format: 'json',
+        content: JSON.stringify({ tabs: [{ url: 'https://a.com/', title: 'A' }, { url: 'https://c.com/post?utm_medium=x', title: 'C' }] })
+      },
+      { timestamp: '2023-06-01T10:00:00.000Z', format: 'markdown', content: '- [D](https://d.com/read)\n- plain https://e.com/' },
+      { timestamp: '2023-07-01T10:00:00.000Z', format: 'json', tabs: [{ url: 'chrome://extensions', title: 'Browser page' }] },
+      { timestamp: '2023-08-01T10:00:00.000Z', format: 'session', windows: [] }
+    ]
+  });
+  const db = await openAt(storage, 6);
+  const records = await readAll(db, 'urls');
+
+  assert.deepStrictEqual(records.map(record => record.url), ['https://a.com/', 'https://c.com/post', 'https://d.com/read', 'https://e.com/']);
+  assert.strictEqual(records[0].accessCount, 5);
+  assert.strictEqual(records[1].firstSeen, '2023-05-01T10:00:00.000Z');
+  assert.deepStrictEqual(records[1].history.map(entry => entry.action), ['import']);
+  assert.deepStrictEqual(migrationResult(storage, 6), { exports: 3, added: 3, merged: 1, skipped: 1 });
+
+  const remaining = await readAll(db, 'tabExports');
+  assert.deepStrictEqual(remaining.map(record => record.format), ['session']);
+  assert.deepStrictEqual(await search(storage, db, 'read'), ['https://d.com/read']);
+  db.close();
+});
+
+test('7 indexes user tags and category overrides and makes user fields searchable', async () => {
+  const storage = await createFixture(6, {
+    urls: [urlRecord('https://a.com/', { user: { addedTags: ['later'], categoryOverride: ['work'], notes: 'quarterly report' } })]
+  });
+  const db = await openAt(storage, 7);
+
+  const transaction = db.transaction(['urls'], 'readonly');
+  const store = transaction.objectStore('urls');
+  assert.strictEqual((await requestResult(store.index('userTags').getAll('later'))).length, 1);
+  assert.strictEqual((await requestResult(store.index('userCategories').getAll('work'))).length, 1);
+  assert.deepStrictEqual(await search(storage, db, 'quarterly'), ['https://a.com/']);
+  db.close();
+});
+
+test('8 creates the collections store and indexes URLs by collection', async () => {
+  const storage = await createFixture(7, { urls: [urlRecord('https://a.com/', { collections: [3] })] });
+  const db = await openAt(storage, 8);
+
+  assert.deepStrictEqual(indexNames(db, 'collections'), ['position']);
+  const transaction = db.transaction(['urls'], 'readonly');
+  assert.strictEqual((await requestResult(transaction.objectStore('urls').index('collections').getAll(3))).length, 1);
+  db.close();
+});
+
+test('9 creates the meta store', async () => {
+  const storage = await createFixture(8);
+  const db = await openAt(storage, 9);
+
+  assert.ok(db.objectStoreNames.contains('meta'));
+  assert.strictEqual(db.transaction(['meta'], 'readonly').objectStore('meta').keyPath, 'key');
+  db.close();
+});
+
+test('10 creates the tombstones store', async () => {
+  const storage = await createFixture(9);
+  const db = await openAt(storage, 10);
+
+  assert.deepStrictEqual(indexNames(db, 'tombstones'), ['deletedAt']);
+  db.close();
+});
+
+test('11 re-indexes URL and technology words of a plaintext library', async () => {
+  const storage = await createFixture(10, {
+    urls: [urlRecord('https://a.com/index.php?id=3', { title: 'Forum thread' })]
+  });
+
+  // Postings written under the old tokenizer, which dropped php and index
+  const stale = await openAt(storage, 10);
+  const transaction = stale.transaction(['urls', 'searchIndex'], 'readwrite');
+  const build = storage.searchIndex.build(transaction, 'urls');
+  transaction.objectStore('searchIndex').delete(['php', 'https://a.com/index.php?id=3']);
+  await Promise.all([build, storage.transactionDone(transaction)]);
+  stale.close();
+
+  const db = await openAt(storage, 11);
+  assert.deepStrictEqual(await search(storage, db, 'php'), ['https://a.com/index.php?id=3']);
+  assert.deepStrictEqual(migrationResult(storage, 11), { rebuilt: 'searchIndex' });
+  db.close();
+});
+
+test('11 leaves the rebuild of an encrypted library until it is unlocked', async () => {
+  const storage = await createFixture(10, { meta: [{ key: 'encryption', version: 1 }] });
+  const db = await openAt(storage, 11);
+
+  const transaction = db.transaction(['meta'], 'readonly');
+  assert.ok(await requestResult(transaction.objectStore('meta').get('searchRebuildNeeded')));
+  assert.deepStrictEqual(migrationResult(storage, 11), { deferred: 'encrypted' });
+  db.close();
+});
+
+test('a failing migration keeps the database at its old version', async () => {
+  const storage = await createFixture(10, { urls: [urlRecord('https://a.com/')] });
+  storage.migrations = [...storage.migrations, {
+    version: 12,
+    description: 'Broken migration',
+    migrate({ transaction }) {
+      transaction.objectStore('urls').clear();
+      throw new Error('fixture failure');
+    }
+  }];
+
+  await assert.rejects(openAt(storage, 12), /Migration 12 failed: fixture failure/);
+
+  const db = await openAt(storage, 10);
+  assert.strictEqual(db.version, 10);
+  assert.strictEqual((await readAll(db, 'urls')).length, 1);
+  db.close();
+});
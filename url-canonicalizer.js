@@ -0,0 +1,154 @@
+// url-canonicalizer.js - Normalize URLs so tracking and host variants share one record
+
+class UrlCanonicalizer {
+  constructor() {
+    this.storageKey = 'canonicalization';
+
+    this.defaultOptions = {
+      stripTrackingParams: true,
+      dropFragment: true,        // '#/route' and '#!route' fragments are kept, they address SPA pages
+      stripWww: true,
+      stripMobile: true,         // m.example.com and mobile.example.com -> example.com
+      stripTrailingSlash: true,
+      sortQueryParams: true,
+      preferCanonicalLink: true, // Use the page's <link rel="canonical"> when the content script reported one
+      extraTrackingParams: []    // User additions, same wildcard syntax as trackingParams
+    };
+
+    // A trailing '*' matches any suffix
+    this.trackingParams = [
+      'utm_*', 'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid',
+      'mc_cid', 'mc_eid', 'igshid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id',
+      'oly_enc_id', 'vero_id', 'ref_src', 'ref_url', 'trk', 'spm', 'scid', 'cmpid', 'ncid'
+    ];
+
+    // Second-level labels that country domains register names under, as in co.uk, com.au or ne.jp
+    this.registrySecondLevels = new Set([
+      'ac', 'co', 'com', 'edu', 'go', 'gob', 'gov', 'gv', 'ltd', 'me', 'mil', 'ne', 'net', 'nic', 'nom', 'or', 'org', 'plc', 'sch'
+    ]);
+
+    this.options = { ...this.defaultOptions };
+  }
+
+  // Read user options from chrome.storage; defaults stay in place outside the extension
+  async loadOptions() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return this.options;
+
+    try {
+      const stored = await chrome.storage.local.get(this.storageKey);
+      this.options = { ...this.defaultOptions, ...(stored[this.storageKey] || {}) };
+    } catch (error) {
+      console.warn('Could not load canonicalization options, using defaults:', error);
+    }
+    return this.options;
+  }
+
+  async saveOptions(options) {
+    this.options = { ...this.defaultOptions, ...options };
+    await chrome.storage.local.set({ [this.storageKey]: this.options });
+    return this.options;
+  }
+
+  // Record key for a tab: its canonical link if allowed and trusted, else its own URL, canonicalized
+  resolve(tabData) {
+    const canonicalLink = tabData.contentTags?.canonicalUrl;
+    if (this.options.preferCanonicalLink && this.isTrustedCanonicalLink(canonicalLink, tabData.url)) {
+      return this.canonicalize(canonicalLink);
+    }
+    return this.canonicalize(tabData.url);
+  }
+
+  // A page only names a canonical URL on its own site, and one pointing at the home page of a page
+  // that isn't the home page is a site-wide default rather than this page's address
+  isTrustedCanonicalLink(link, url) {
+    if (!this.isWebUrl(link) || !this.isWebUrl(url)) return false;
+
+    const canonical = new URL(this.canonicalize(link));
+    const page = new URL(this.canonicalize(url));
+    if (this.registrableDomain(canonical.hostname) !== this.registrableDomain(page.hostname)) return false;
+
+    const isSiteRoot = (urlObj) => urlObj.pathname === '/' && !urlObj.search && !urlObj.hash;
+    return !isSiteRoot(canonical) || isSiteRoot(page);
+  }
+
+  // The name a host is registered under, as in example.com for news.example.com or example.co.uk
+  // for www.example.co.uk; IP addresses are compared whole
+  registrableDomain(hostname) {
+    if (/^[\d.]+$/.test(hostname) || hostname.includes(':') || hostname.startsWith('[')) return hostname;
+
+    const labels = hostname.toLowerCase().split('.');
+    const suffixLength = labels.length > 2 && this.isPublicSuffix(labels.slice(-2)) ? 2 : 1;
+    return labels.slice(-(suffixLength + 1)).join('.');
+  }
+
+  // Canonical form of a URL; anything that isn't http(s) is returned unchanged
+  canonicalize(url) {
+    if (!this.isWebUrl(url)) return url;
+
+    const urlObj = new URL(url);
+    const options = this.options;
+
+    if (options.stripWww || options.stripMobile) {
+      urlObj.hostname = this.canonicalHost(urlObj.hostname);
+    }
+
+    if (options.stripTrackingParams) {
+      const patterns = [...this.trackingParams, ...(options.extraTrackingParams || [])];
+      Array.from(urlObj.searchParams.keys()).forEach(name => {
+        if (patterns.some(pattern => this.matchesParam(name, pattern))) {
+          urlObj.searchParams.delete(name);
+        }
+      });
+    }
+
+    if (options.sortQueryParams) {
+      urlObj.searchParams.sort();
+    }
+
+    if (options.dropFragment && !/^#[!/]/.test(urlObj.hash)) {
+      urlObj.hash = '';
+    }
+
+    if (options.stripTrailingSlash && urlObj.pathname.length > 1 && urlObj.pathname.endsWith('/')) {
+      urlObj.pathname = urlObj.pathname.replace(/\/+$/, '') || '/';
+    }
+
+    // URL keeps a bare '?' when every parameter was removed
+    return urlObj.toString().replace(/\?(?=#|$)/, '');
+  }
+
+  canonicalHost(hostname) {
+    const parts = hostname.split('.');
+    const strip = (this.options.stripWww && parts[0] === 'www') ||
+      (this.options.stripMobile && (parts[0] === 'm' || parts[0] === 'mobile'));
+
+    // Never strip down to a bare public suffix such as "co", "co.uk" or "com.au"
+    const rest = parts.slice(1);
+    return strip && !this.isPublicSuffix(rest) ? rest.join('.') : hostname;
+  }
+
+  // Whether host labels are only a public suffix: a top-level domain, or a registry's second level
+  // under a country domain. Not the full public suffix list, which is too big to ship
+  isPublicSuffix(labels) {
+    if (labels.length <= 1) return true;
+    return labels.length === 2 && labels[1].length === 2 && this.registrySecondLevels.has(labels[0]);
+  }
+
+  matchesParam(name, pattern) {
+    const lowerName = name.toLowerCase();
+    if (pattern.endsWith('*')) {
+      return lowerName.startsWith(pattern.slice(0, -1).toLowerCase());
+    }
+    return lowerName === pattern.toLowerCase();
+  }
+
+  isWebUrl(url) {
+    if (typeof url !== 'string') return false;
+    try {
+      const protocol = new URL(url).protocol;
+      return protocol === 'http:' || protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+}